@@ -0,0 +1,134 @@
+/**
+ * Offline reading: registers the service worker (sw.js) and provides the
+ * "Available offline" toggle for PDFs.
+ *
+ * The worker precaches the pages on its own, but PDFs are only stored when
+ * a reader asks for them, since the downloads add up to more than most
+ * people want on their phone. The writing-samples cards and the PDF reader
+ * show a toggle for each PDF; it saves the file to the cache the worker
+ * serves PDFs from, or removes it again:
+ *
+ *   card.appendChild(SiteOffline.toggle("../downloads/Insane AI/Lore/lorebible.pdf"));
+ *
+ * Nothing is shown where service workers are unavailable (file:// pages,
+ * plain http, older browsers).
+ */
+(function (window, document) {
+  "use strict";
+
+  // Same name as PDF_CACHE in sw.js.
+  const PDF_CACHE = "portfolio-pdfs";
+  const LABEL = "Available offline";
+
+  const siteRoot = new URL("../../", document.currentScript.src);
+  const supported =
+    "serviceWorker" in window.navigator &&
+    "caches" in window &&
+    window.isSecureContext !== false;
+
+  function keyFor(url) {
+    const key = new URL(url, window.location.href);
+    key.hash = "";
+    key.search = "";
+    return key.href;
+  }
+
+  function isSaved(url) {
+    if (!supported) return Promise.resolve(false);
+    return window.caches
+      .open(PDF_CACHE)
+      .then(function (cache) {
+        return cache.match(keyFor(url));
+      })
+      .then(Boolean);
+  }
+
+  function save(url) {
+    return window.caches.open(PDF_CACHE).then(function (cache) {
+      return fetch(keyFor(url), { cache: "reload" }).then(function (response) {
+        if (response.status !== 200) throw new Error("HTTP " + response.status);
+        return cache.put(keyFor(url), response);
+      });
+    });
+  }
+
+  function remove(url) {
+    return window.caches.open(PDF_CACHE).then(function (cache) {
+      return cache.delete(keyFor(url));
+    });
+  }
+
+  // Every toggle for the same PDF shows the same state.
+  function update(key, state) {
+    document.querySelectorAll(".offline-toggle").forEach(function (button) {
+      if (button.getAttribute("data-url") !== key) return;
+      button.disabled = state === "busy";
+      button.setAttribute("aria-pressed", state === "saved" ? "true" : "false");
+      button.classList.toggle("is-busy", state === "busy");
+      button.classList.toggle("is-failed", state === "failed");
+      button.title =
+        state === "failed"
+          ? "Couldn't save this PDF. Check your connection and try again."
+          : state === "saved"
+            ? "Saved on this device. Click to remove it."
+            : "Save this PDF on this device to read it offline.";
+    });
+  }
+
+  /**
+   * A toggle button for the PDF at `url`. `className` is added alongside
+   * `offline-toggle`, so the button can take its surroundings' styles.
+   */
+  function toggle(url, className) {
+    const key = keyFor(url);
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "offline-toggle" + (className ? " " + className : "");
+    button.textContent = LABEL;
+    button.setAttribute("data-url", key);
+    button.setAttribute("aria-pressed", "false");
+
+    button.addEventListener("click", function () {
+      const saved = button.getAttribute("aria-pressed") === "true";
+      update(key, "busy");
+      (saved ? remove(key) : save(key)).then(
+        function () {
+          update(key, saved ? "removed" : "saved");
+        },
+        function () {
+          update(key, saved ? "saved" : "failed");
+        }
+      );
+    });
+
+    isSaved(key).then(function (saved) {
+      if (!button.disabled) update(key, saved ? "saved" : "removed");
+    });
+    return button;
+  }
+
+  window.SiteOffline = {
+    supported: supported,
+    isSaved: isSaved,
+    save: save,
+    remove: remove,
+    toggle: toggle,
+  };
+
+  if (!supported) return;
+
+  function register() {
+    window.navigator.serviceWorker
+      .register(new URL("sw.js", siteRoot).href)
+      .catch(function () {
+        // Pages still load from the network; only offline reading is lost.
+      });
+  }
+
+  // Registering after load keeps the precache downloads off the first paint.
+  if (document.readyState === "complete") {
+    register();
+  } else {
+    window.addEventListener("load", register);
+  }
+})(window, document);
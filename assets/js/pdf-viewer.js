@@ -0,0 +1,685 @@
+/**
+ * Lightbox PDF reader for the writing samples and design docs.
+ *
+ * Links to PDFs under downloads/ open in a lightbox that renders the pages
+ * in place with the bundled pdf.js (assets/vendor/pdfjs), instead of
+ * downloading the file or leaving the site. The reader has page thumbnails,
+ * zoom, text search and deep links such as `#pdf=lorebible&page=12`; the
+ * slug is the file name, and any PDF listed in assets/data/downloads.json
+ * can be deep-linked from any page.
+ *
+ *   PdfViewer.open("../downloads/Insane AI/Lore/lorebible.pdf", { page: 12 });
+ *
+ * Add `nolightbox` to a link (or hold a modifier key) to skip the reader.
+ *
+ * The reader is a dialog of its own, not a mode of Elementor's lightbox:
+ * that lightbox needs Elementor's dialog library (DialogsManager) and its
+ * lightbox stylesheet, and the mirror ships neither. Fancybox is commented
+ * out on every page as well, so there is no working lightbox to extend.
+ */
+(function (window, document) {
+  "use strict";
+
+  const PDFJS_VERSION = "3.11.174";
+  const ZOOM_STEP = 1.25;
+  const MIN_SCALE = 0.25;
+  const MAX_SCALE = 4;
+  const THUMB_WIDTH = 120;
+
+  // Site root, worked out from this script's own URL (assets/js/pdf-viewer.js).
+  const siteRoot = new URL("../../", document.currentScript.src);
+  const pdfjsRoot = new URL(
+    "assets/vendor/pdfjs/" + PDFJS_VERSION + "/",
+    siteRoot
+  );
+
+  let pdfjsReady = null;
+  let library = null;
+  let dialog = null;
+  let ui = null;
+  let state = null;
+  let lastFocus = null;
+  // Bumped by every open() and close(), so a load that finishes after
+  // another PDF was opened (or the reader was closed) is dropped.
+  let loadToken = 0;
+
+  function slugFor(url) {
+    const file = decodeURIComponent(new URL(url, window.location.href).pathname)
+      .split("/")
+      .pop();
+    return file
+      .replace(/\.pdf$/i, "")
+      .toLowerCase()
+      .replace(/['’]/g, "")
+      .replace(/[^a-z0-9_]+/g, "-")
+      .replace(/^-+|-+$/g, "");
+  }
+
+  function isPdfLink(link) {
+    if (!link.href || link.hasAttribute("download")) return false;
+    if (link.closest(".nolightbox, .nofancybox")) return false;
+    const url = new URL(link.href, window.location.href);
+    return url.origin === window.location.origin && /\.pdf$/i.test(url.pathname);
+  }
+
+  function loadScript(src) {
+    return new Promise(function (resolve, reject) {
+      const script = document.createElement("script");
+      script.src = src;
+      script.onload = resolve;
+      script.onerror = function () {
+        reject(new Error("Could not load " + src));
+      };
+      document.head.appendChild(script);
+    });
+  }
+
+  // pdf.js is only fetched the first time a PDF is opened.
+  function loadPdfjs() {
+    if (!pdfjsReady) {
+      pdfjsReady = loadScript(new URL("pdf.min.js", pdfjsRoot).href).then(
+        function () {
+          window.pdfjsLib.GlobalWorkerOptions.workerSrc = new URL(
+            "pdf.worker.min.js",
+            pdfjsRoot
+          ).href;
+          return window.pdfjsLib;
+        }
+      );
+    }
+    return pdfjsReady;
+  }
+
+  function loadLibrary() {
+    if (!library) {
+      library = fetch(new URL("assets/data/downloads.json", siteRoot))
+        .then(function (response) {
+          return response.ok ? response.json() : [];
+        })
+        .catch(function () {
+          return [];
+        });
+    }
+    return library;
+  }
+
+  // The PDF an <a> or <iframe> points at, or null. An empty or malformed
+  // attribute has no URL, and must not throw while the page is loading.
+  function pdfUrlOf(el) {
+    const url = el.href || el.src;
+    try {
+      return /\.pdf$/i.test(new URL(url).pathname) ? url : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Finds the PDF for a deep-link slug: links on this page first, then the library.
+  function resolveSlug(slug) {
+    const onPage = Array.prototype.find.call(
+      document.querySelectorAll("a[href], iframe[src]"),
+      function (el) {
+        const url = pdfUrlOf(el);
+        return url !== null && slugFor(url) === slug;
+      }
+    );
+    if (onPage) {
+      return Promise.resolve({
+        url: onPage.href || onPage.src,
+        title: onPage.textContent.trim() || onPage.title,
+      });
+    }
+    return loadLibrary().then(function (entries) {
+      const entry = entries.find(function (item) {
+        return item.slug === slug && /\.pdf$/i.test(item.path);
+      });
+      return entry
+        ? { url: new URL(entry.path, siteRoot).href, title: entry.title }
+        : null;
+    });
+  }
+
+  function build() {
+    dialog = document.createElement("div");
+    dialog.className = "pdf-lightbox";
+    dialog.hidden = true;
+    dialog.setAttribute("role", "dialog");
+    dialog.setAttribute("aria-modal", "true");
+    dialog.setAttribute("aria-labelledby", "pdf-lightbox-title");
+    dialog.innerHTML =
+      '<div class="pdf-lightbox-toolbar">' +
+      '<button type="button" class="pdf-lightbox-button" data-action="thumbs" aria-pressed="true" aria-label="Page thumbnails">&#9776;</button>' +
+      '<h2 class="pdf-lightbox-title" id="pdf-lightbox-title"></h2>' +
+      '<label class="pdf-lightbox-pager">Page <input type="number" min="1" value="1" data-field="page" /> of <span data-field="count">0</span></label>' +
+      '<div class="pdf-lightbox-zoom">' +
+      '<button type="button" class="pdf-lightbox-button" data-action="zoom-out" aria-label="Zoom out">&minus;</button>' +
+      '<output data-field="zoom">100%</output>' +
+      '<button type="button" class="pdf-lightbox-button" data-action="zoom-in" aria-label="Zoom in">+</button>' +
+      '<button type="button" class="pdf-lightbox-button" data-action="fit">Fit</button>' +
+      "</div>" +
+      '<form class="pdf-lightbox-search" role="search">' +
+      '<input type="search" placeholder="Search this document" aria-label="Search this document" data-field="query" />' +
+      '<span class="pdf-lightbox-search-status" aria-live="polite" data-field="status"></span>' +
+      "</form>" +
+      '<span class="pdf-lightbox-offline" data-field="offline"></span>' +
+      '<a class="pdf-lightbox-button" data-field="download" download>Download</a>' +
+      '<button type="button" class="pdf-lightbox-button pdf-lightbox-close" data-action="close" aria-label="Close">&times;</button>' +
+      "</div>" +
+      '<div class="pdf-lightbox-body">' +
+      '<nav class="pdf-lightbox-thumbs" aria-label="Pages" data-field="thumbs"></nav>' +
+      '<div class="pdf-lightbox-pages" tabindex="0" data-field="pages"></div>' +
+      "</div>";
+    document.body.appendChild(dialog);
+
+    ui = {};
+    dialog.querySelectorAll("[data-field]").forEach(function (el) {
+      ui[el.getAttribute("data-field")] = el;
+    });
+    ui.title = dialog.querySelector(".pdf-lightbox-title");
+
+    dialog.addEventListener("click", function (event) {
+      const button = event.target.closest("[data-action]");
+      if (!button) return;
+      const action = button.getAttribute("data-action");
+      if (action === "close") close();
+      if (!state) return; // Still loading
+      if (action === "zoom-in") zoom(state.scale * ZOOM_STEP);
+      if (action === "zoom-out") zoom(state.scale / ZOOM_STEP);
+      if (action === "fit") zoom(fitScale());
+      if (action === "thumbs") {
+        const hidden = dialog.classList.toggle("pdf-lightbox-no-thumbs");
+        button.setAttribute("aria-pressed", hidden ? "false" : "true");
+      }
+    });
+    ui.page.addEventListener("change", function () {
+      goToPage(parseInt(ui.page.value, 10));
+    });
+    ui.thumbs.addEventListener("click", function (event) {
+      const thumb = event.target.closest("[data-page]");
+      if (thumb) goToPage(parseInt(thumb.getAttribute("data-page"), 10));
+    });
+    dialog
+      .querySelector(".pdf-lightbox-search")
+      .addEventListener("submit", function (event) {
+        event.preventDefault();
+        search(ui.query.value);
+      });
+    dialog.addEventListener("keydown", onKeydown);
+  }
+
+  function onKeydown(event) {
+    if (event.key === "Escape") {
+      close();
+      return;
+    }
+    // Keep Tab inside the dialog while it is open.
+    if (event.key !== "Tab") return;
+    const focusable = Array.prototype.filter.call(
+      dialog.querySelectorAll("button, input, a[href], [tabindex='0']"),
+      function (el) {
+        return el.offsetParent !== null;
+      }
+    );
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (event.shiftKey && document.activeElement === first) {
+      last.focus();
+      event.preventDefault();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      first.focus();
+      event.preventDefault();
+    }
+  }
+
+  function updateHash() {
+    if (!state || !window.history.replaceState) return;
+    window.history.replaceState(
+      null,
+      "",
+      "#pdf=" + encodeURIComponent(state.slug) + "&page=" + state.page
+    );
+  }
+
+  function clearHash() {
+    if (window.location.hash.indexOf("#pdf=") !== 0) return;
+    window.history.replaceState(
+      null,
+      "",
+      window.location.pathname + window.location.search
+    );
+  }
+
+  function fitScale() {
+    const available = ui.pages.clientWidth - 32;
+    return Math.min(
+      MAX_SCALE,
+      Math.max(MIN_SCALE, available / state.pageSizes[0].width)
+    );
+  }
+
+  function setFrameSize(frame, size) {
+    frame.style.width = Math.floor(size.width * state.scale) + "px";
+    frame.style.height = Math.floor(size.height * state.scale) + "px";
+  }
+
+  function renderPage(number) {
+    const frame = state.frames[number - 1];
+    if (frame.getAttribute("data-scale") === String(state.scale)) {
+      return Promise.resolve();
+    }
+    frame.setAttribute("data-scale", String(state.scale));
+    const current = state;
+
+    return current.doc.getPage(number).then(function (page) {
+      if (current !== state) return;
+      const viewport = page.getViewport({ scale: current.scale });
+      const ratio = window.devicePixelRatio || 1;
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.floor(viewport.width * ratio);
+      canvas.height = Math.floor(viewport.height * ratio);
+      canvas.style.width = Math.floor(viewport.width) + "px";
+      canvas.style.height = Math.floor(viewport.height) + "px";
+
+      const textLayer = document.createElement("div");
+      textLayer.className = "textLayer";
+      textLayer.style.setProperty("--scale-factor", viewport.scale);
+
+      frame.replaceChildren(canvas, textLayer);
+
+      return page
+        .render({
+          canvasContext: canvas.getContext("2d"),
+          viewport: viewport,
+          transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : null,
+        })
+        .promise.then(function () {
+          if (current !== state) return null;
+          return window.pdfjsLib.renderTextLayer({
+            textContentSource: page.streamTextContent(),
+            container: textLayer,
+            viewport: viewport,
+          }).promise;
+        })
+        .then(function () {
+          if (current === state) highlightMatches(textLayer);
+        });
+    });
+  }
+
+  // teardown() destroys the document under any render still in flight;
+  // the rejections that causes are expected and not worth reporting.
+  function ignoreTeardown(doc) {
+    return function (error) {
+      if (error && error.name === "RenderingCancelledException") return;
+      if (!state || state.doc !== doc) return;
+      throw error;
+    };
+  }
+
+  function renderThumb(number) {
+    const thumb = state.thumbs[number - 1];
+    if (thumb.querySelector("canvas")) return;
+    const doc = state.doc;
+    doc.getPage(number).then(function (page) {
+      if (!state || state.doc !== doc) return null;
+      const base = page.getViewport({ scale: 1 });
+      const viewport = page.getViewport({ scale: THUMB_WIDTH / base.width });
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.floor(viewport.width);
+      canvas.height = Math.floor(viewport.height);
+      thumb.prepend(canvas);
+      return page.render({ canvasContext: canvas.getContext("2d"), viewport: viewport }).promise;
+    }).catch(ignoreTeardown(doc));
+  }
+
+  function setCurrentPage(number) {
+    if (number === state.page) return;
+    state.page = number;
+    ui.page.value = number;
+    state.thumbs.forEach(function (thumb, index) {
+      const current = index + 1 === number;
+      thumb.classList.toggle("active", current);
+      if (current) {
+        thumb.setAttribute("aria-current", "page");
+      } else {
+        thumb.removeAttribute("aria-current");
+      }
+    });
+    updateHash();
+  }
+
+  function goToPage(number) {
+    if (!state || isNaN(number)) return;
+    number = Math.min(Math.max(number, 1), state.doc.numPages);
+    state.frames[number - 1].scrollIntoView({ block: "start" });
+    state.thumbs[number - 1].scrollIntoView({ block: "nearest" });
+    setCurrentPage(number);
+  }
+
+  function applyScale(scale) {
+    state.scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+    ui.zoom.value = Math.round(state.scale * 100) + "%";
+    state.frames.forEach(function (frame, index) {
+      setFrameSize(frame, state.pageSizes[index]);
+    });
+  }
+
+  function zoom(scale) {
+    if (!state) return;
+    const page = state.page;
+    applyScale(scale);
+    // Re-render whatever is on screen at the new scale.
+    state.frames.forEach(function (frame) {
+      state.pageObserver.unobserve(frame);
+      state.pageObserver.observe(frame);
+    });
+    goToPage(page);
+  }
+
+  function textOf(number) {
+    if (!state.text[number - 1]) {
+      state.text[number - 1] = state.doc
+        .getPage(number)
+        .then(function (page) {
+          return page.getTextContent();
+        })
+        .then(function (content) {
+          return content.items
+            .map(function (item) {
+              return item.str;
+            })
+            .join(" ");
+        });
+    }
+    return state.text[number - 1];
+  }
+
+  function highlightMatches(textLayer) {
+    const query = state.query;
+    textLayer.querySelectorAll("span").forEach(function (span) {
+      span.classList.toggle(
+        "highlight",
+        !!query && span.textContent.toLowerCase().indexOf(query) !== -1
+      );
+    });
+  }
+
+  /**
+   * Finds `query` in the document. Searching the same text again moves on
+   * to the next page with a match.
+   */
+  function search(query) {
+    query = query.trim().toLowerCase();
+    const current = state;
+    const again = query && query === current.query && current.matches.length;
+
+    if (again) {
+      const next = current.matches.find(function (number) {
+        return number > current.page;
+      });
+      goToPage(next || current.matches[0]);
+      return Promise.resolve(current.matches);
+    }
+
+    current.query = query;
+    current.matches = [];
+    dialog.querySelectorAll(".textLayer").forEach(highlightMatches);
+    if (!query) {
+      ui.status.textContent = "";
+      return Promise.resolve([]);
+    }
+
+    ui.status.textContent = "Searching…";
+    const pages = [];
+    for (let number = 1; number <= current.doc.numPages; number++) {
+      pages.push(number);
+    }
+    return Promise.all(pages.map(textOf)).then(function (texts) {
+      if (current !== state || current.query !== query) return [];
+      current.matches = pages.filter(function (number) {
+        return texts[number - 1].toLowerCase().indexOf(query) !== -1;
+      });
+      state.thumbs.forEach(function (thumb, index) {
+        thumb.classList.toggle(
+          "has-match",
+          current.matches.indexOf(index + 1) !== -1
+        );
+      });
+      ui.status.textContent = current.matches.length
+        ? "Found on " +
+          current.matches.length +
+          (current.matches.length === 1 ? " page" : " pages")
+        : "No matches";
+      if (current.matches.length) goToPage(current.matches[0]);
+      return current.matches;
+    });
+  }
+
+  function observe() {
+    // Render pages (and thumbnails) as they scroll into view.
+    state.pageObserver = new IntersectionObserver(
+      function (entries) {
+        entries.forEach(function (entry) {
+          if (entry.isIntersecting) {
+            renderPage(parseInt(entry.target.getAttribute("data-page"), 10)).catch(
+              ignoreTeardown(state.doc)
+            );
+          }
+        });
+      },
+      { root: ui.pages, rootMargin: "200px 0px" }
+    );
+    state.thumbObserver = new IntersectionObserver(
+      function (entries) {
+        entries.forEach(function (entry) {
+          if (entry.isIntersecting) {
+            renderThumb(parseInt(entry.target.getAttribute("data-page"), 10));
+          }
+        });
+      },
+      { root: ui.thumbs, rootMargin: "200px 0px" }
+    );
+    // The page nearest the top of the reader is the current page.
+    state.currentObserver = new IntersectionObserver(
+      function () {
+        const top = ui.pages.getBoundingClientRect().top;
+        let best = state.page;
+        let bestDistance = Infinity;
+        state.frames.forEach(function (frame, index) {
+          const rect = frame.getBoundingClientRect();
+          const distance = Math.abs(rect.top - top);
+          if (rect.bottom > top && distance < bestDistance) {
+            best = index + 1;
+            bestDistance = distance;
+          }
+        });
+        setCurrentPage(best);
+      },
+      { root: ui.pages, threshold: [0, 0.25, 0.5, 0.75, 1] }
+    );
+    state.frames.forEach(function (frame) {
+      state.pageObserver.observe(frame);
+      state.currentObserver.observe(frame);
+    });
+    state.thumbs.forEach(function (thumb) {
+      state.thumbObserver.observe(thumb);
+    });
+  }
+
+  function teardown() {
+    if (!state) return;
+    ["pageObserver", "thumbObserver", "currentObserver"].forEach(function (key) {
+      if (state[key]) state[key].disconnect();
+    });
+    state.doc.destroy();
+    state = null;
+  }
+
+  /**
+   * Opens the PDF at `url` in the reader. `options.page` picks the first
+   * page shown and `options.title` overrides the file-name title.
+   */
+  function open(url, options) {
+    options = options || {};
+    if (!dialog) build();
+    teardown();
+    const token = ++loadToken;
+
+    const href = new URL(url, window.location.href).href;
+    const slug = slugFor(href);
+    if (dialog.hidden && !lastFocus) lastFocus = document.activeElement;
+
+    ui.title.textContent =
+      options.title || decodeURIComponent(href.split("/").pop());
+    ui.download.href = href;
+    ui.offline.replaceChildren();
+    if (window.SiteOffline && window.SiteOffline.supported) {
+      ui.offline.appendChild(window.SiteOffline.toggle(href, "pdf-lightbox-button"));
+    }
+    ui.pages.replaceChildren();
+    ui.thumbs.replaceChildren();
+    ui.status.textContent = "";
+    ui.query.value = "";
+    ui.count.textContent = "…";
+    dialog.hidden = false;
+    document.documentElement.classList.add("pdf-lightbox-open");
+    dialog.querySelector(".pdf-lightbox-close").focus();
+
+    return loadPdfjs()
+      .then(function (pdfjsLib) {
+        return pdfjsLib.getDocument(href).promise;
+      })
+      .then(function (doc) {
+        if (token !== loadToken) {
+          doc.destroy();
+          return null;
+        }
+        const pages = [];
+        for (let number = 1; number <= doc.numPages; number++) {
+          pages.push(doc.getPage(number));
+        }
+        return Promise.all(pages).then(function (loaded) {
+          return { doc: doc, pages: loaded };
+        });
+      })
+      .then(function (loaded) {
+        if (!loaded) return;
+        if (token !== loadToken) {
+          loaded.doc.destroy();
+          return;
+        }
+        state = {
+          doc: loaded.doc,
+          slug: slug,
+          page: 0,
+          scale: 1,
+          query: "",
+          matches: [],
+          text: [],
+          pageSizes: loaded.pages.map(function (page) {
+            const viewport = page.getViewport({ scale: 1 });
+            return { width: viewport.width, height: viewport.height };
+          }),
+          frames: [],
+          thumbs: [],
+        };
+        ui.count.textContent = loaded.doc.numPages;
+        ui.page.max = loaded.doc.numPages;
+
+        state.pageSizes.forEach(function (size, index) {
+          const frame = document.createElement("div");
+          frame.className = "pdf-lightbox-page";
+          frame.setAttribute("data-page", index + 1);
+          frame.setAttribute("aria-label", "Page " + (index + 1));
+          ui.pages.appendChild(frame);
+          state.frames.push(frame);
+
+          const thumb = document.createElement("button");
+          thumb.type = "button";
+          thumb.className = "pdf-lightbox-thumb";
+          thumb.setAttribute("data-page", index + 1);
+          thumb.innerHTML = "<span>" + (index + 1) + "</span>";
+          ui.thumbs.appendChild(thumb);
+          state.thumbs.push(thumb);
+        });
+
+        applyScale(Math.min(fitScale(), 1.5));
+        observe();
+        goToPage(options.page || 1);
+      })
+      .catch(function () {
+        if (token !== loadToken) return;
+        const message = document.createElement("p");
+        const fallback = document.createElement("a");
+        message.className = "pdf-lightbox-error";
+        fallback.href = href;
+        fallback.target = "_blank";
+        fallback.rel = "noopener";
+        fallback.className = "nolightbox";
+        fallback.textContent = "Open it in a new tab";
+        message.append("This PDF could not be shown here. ", fallback, " instead.");
+        ui.count.textContent = "0";
+        ui.pages.replaceChildren(message);
+      });
+  }
+
+  function close() {
+    if (!dialog || dialog.hidden) return;
+    loadToken++;
+    teardown();
+    dialog.hidden = true;
+    document.documentElement.classList.remove("pdf-lightbox-open");
+    clearHash();
+    if (lastFocus && lastFocus.focus) lastFocus.focus();
+    lastFocus = null;
+  }
+
+  function openFromHash() {
+    const match = /^#pdf=([^&]+)(?:&page=(\d+))?$/.exec(window.location.hash);
+    if (!match) return;
+    const slug = decodeURIComponent(match[1]);
+    const page = match[2] ? parseInt(match[2], 10) : 1;
+    if (state && state.slug === slug) {
+      goToPage(page);
+      return;
+    }
+    resolveSlug(slug).then(function (found) {
+      if (found) open(found.url, { page: page, title: found.title });
+    });
+  }
+
+  document.addEventListener("click", function (event) {
+    if (
+      event.defaultPrevented ||
+      event.button !== 0 ||
+      event.metaKey ||
+      event.ctrlKey ||
+      event.shiftKey ||
+      event.altKey
+    ) {
+      return;
+    }
+    const link = event.target.closest("a[href]");
+    if (!link || !isPdfLink(link) || (dialog && dialog.contains(link))) return;
+    event.preventDefault();
+    lastFocus = link;
+    open(link.href, { title: link.textContent.trim() });
+  });
+
+  window.addEventListener("hashchange", openFromHash);
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", openFromHash);
+  } else {
+    openFromHash();
+  }
+
+  window.PdfViewer = {
+    open: open,
+    close: close,
+    search: function (query) {
+      return state ? search(query) : Promise.resolve([]);
+    },
+    goToPage: goToPage,
+    slug: slugFor,
+  };
+})(window, document);
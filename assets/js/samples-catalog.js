@@ -0,0 +1,378 @@
+/**
+ * Filterable writing-samples catalog.
+ *
+ * Renders assets/data/downloads.json (kept up to date by
+ * tools/update-downloads.js) as cards that can be filtered by project,
+ * form and length and sorted by title or page count. Filters live in the
+ * query string, so a filtered view can be shared:
+ *
+ *   writing-samples/index.html?project=insane-ai&type=script,barks&sort=shortest
+ *
+ * The `.samples-catalog` element starts out holding a plain link list of
+ * the same samples; it is only replaced once the manifest has loaded, so
+ * readers without JavaScript (or with a failed fetch) keep that list.
+ */
+(function (window, document) {
+  "use strict";
+
+  const LENGTHS = [
+    { key: "short", label: "Short (1–2 pages)", max: 2 },
+    { key: "medium", label: "Medium (3–6 pages)", max: 6 },
+    { key: "long", label: "Long (7+ pages)", max: Infinity },
+  ];
+
+  const SORTS = [
+    { key: "featured", label: "Featured" },
+    { key: "title", label: "Title (A–Z)" },
+    { key: "shortest", label: "Shortest first" },
+    { key: "longest", label: "Longest first" },
+  ];
+
+  const GROUPS = [
+    { key: "project", label: "Project" },
+    { key: "type", label: "Form" },
+    { key: "length", label: "Length" },
+  ];
+
+  const siteRoot = new URL("../../", document.currentScript.src);
+  const instances = new WeakMap();
+
+  function keyFor(label) {
+    return String(label)
+      .toLowerCase()
+      .replace(/['’]/g, "")
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "");
+  }
+
+  function lengthOf(entry) {
+    if (!entry.pages) return null;
+    return LENGTHS.find(function (length) {
+      return entry.pages <= length.max;
+    }).key;
+  }
+
+  // The filterable values of an entry, by group key.
+  function valuesOf(entry) {
+    return {
+      project: entry.project ? keyFor(entry.project) : null,
+      type: keyFor(entry.type),
+      length: lengthOf(entry),
+    };
+  }
+
+  function Catalog(root) {
+    this.root = root;
+    this.entries = [];
+    this.options = {};
+    this.filters = { project: new Set(), type: new Set(), length: new Set() };
+    this.sort = "featured";
+    this.chips = [];
+    this.ui = null;
+  }
+
+  Catalog.prototype.load = function () {
+    return fetch(new URL("assets/data/downloads.json", siteRoot))
+      .then(function (response) {
+        if (!response.ok) throw new Error("HTTP " + response.status);
+        return response.json();
+      })
+      .then(
+        function (manifest) {
+          this.entries = manifest
+            .filter(function (entry) {
+              return entry.catalog !== false;
+            })
+            .map(function (entry, order) {
+              return Object.assign({ order: order, values: valuesOf(entry) }, entry);
+            });
+          this.collectOptions();
+          this.readUrl();
+          this.build();
+          this.render();
+        }.bind(this)
+      );
+  };
+
+  // Chips for every project, form and length that has at least one sample.
+  Catalog.prototype.collectOptions = function () {
+    const options = { project: new Map(), type: new Map(), length: new Map() };
+    this.entries.forEach(function (entry) {
+      if (entry.project) options.project.set(entry.values.project, entry.project);
+      options.type.set(entry.values.type, entry.type);
+    });
+    LENGTHS.forEach(function (length) {
+      const used = this.entries.some(function (entry) {
+        return entry.values.length === length.key;
+      });
+      if (used) options.length.set(length.key, length.label);
+    }, this);
+    this.options = options;
+  };
+
+  Catalog.prototype.readUrl = function () {
+    const params = new URLSearchParams(window.location.search);
+    GROUPS.forEach(function (group) {
+      const known = this.options[group.key];
+      this.filters[group.key] = new Set(
+        (params.get(group.key) || "").split(",").filter(function (value) {
+          return known.has(value);
+        })
+      );
+    }, this);
+    const sort = params.get("sort");
+    this.sort = SORTS.some((option) => option.key === sort) ? sort : "featured";
+  };
+
+  Catalog.prototype.writeUrl = function () {
+    if (!window.history.replaceState) return;
+    const params = new URLSearchParams(window.location.search);
+    GROUPS.forEach(function (group) {
+      const values = Array.from(this.filters[group.key]);
+      if (values.length) {
+        params.set(group.key, values.join(","));
+      } else {
+        params.delete(group.key);
+      }
+    }, this);
+    if (this.sort === "featured") {
+      params.delete("sort");
+    } else {
+      params.set("sort", this.sort);
+    }
+    const query = params.toString().replace(/%2C/g, ",");
+    window.history.replaceState(
+      null,
+      "",
+      window.location.pathname + (query ? "?" + query : "") + window.location.hash
+    );
+  };
+
+  Catalog.prototype.build = function () {
+    const id = this.root.id || "samples-catalog";
+    const controls = document.createElement("div");
+    controls.className = "samples-catalog-controls";
+
+    GROUPS.forEach(function (group) {
+      const values = this.options[group.key];
+      if (values.size < 2) return;
+
+      const row = document.createElement("div");
+      const label = document.createElement("span");
+      row.className = "samples-catalog-filter";
+      row.setAttribute("role", "group");
+      label.className = "samples-catalog-filter-label";
+      label.id = id + "-" + group.key + "-label";
+      label.textContent = group.label;
+      row.setAttribute("aria-labelledby", label.id);
+      row.appendChild(label);
+
+      values.forEach(function (text, value) {
+        const chip = document.createElement("button");
+        chip.type = "button";
+        chip.className = "samples-catalog-chip";
+        chip.textContent = text;
+        chip.addEventListener("click", this.toggle.bind(this, group.key, value));
+        row.appendChild(chip);
+        this.chips.push({ group: group.key, value: value, el: chip });
+      }, this);
+      controls.appendChild(row);
+    }, this);
+
+    const sortRow = document.createElement("div");
+    const sortLabel = document.createElement("label");
+    const sortSelect = document.createElement("select");
+    sortRow.className = "samples-catalog-sort";
+    sortLabel.textContent = "Sort by";
+    sortLabel.setAttribute("for", id + "-sort");
+    sortSelect.id = id + "-sort";
+    SORTS.forEach(function (option) {
+      sortSelect.add(new Option(option.label, option.key));
+    });
+    sortSelect.addEventListener(
+      "change",
+      function () {
+        this.sort = sortSelect.value;
+        this.update();
+      }.bind(this)
+    );
+
+    const clear = document.createElement("button");
+    clear.type = "button";
+    clear.className = "samples-catalog-clear";
+    clear.textContent = "Clear filters";
+    clear.addEventListener("click", this.clear.bind(this));
+    sortRow.append(sortLabel, sortSelect, clear);
+    controls.appendChild(sortRow);
+
+    const status = document.createElement("p");
+    status.className = "samples-catalog-status";
+    status.setAttribute("aria-live", "polite");
+
+    const list = document.createElement("ul");
+    list.className = "samples-catalog-cards";
+
+    this.ui = { sort: sortSelect, clear: clear, status: status, list: list };
+    this.root.classList.add("is-enhanced");
+    this.root.replaceChildren(controls, status, list);
+  };
+
+  Catalog.prototype.toggle = function (group, value) {
+    const filter = this.filters[group];
+    if (filter.has(value)) {
+      filter.delete(value);
+    } else {
+      filter.add(value);
+    }
+    this.update();
+  };
+
+  Catalog.prototype.clear = function () {
+    GROUPS.forEach(function (group) {
+      this.filters[group.key].clear();
+    }, this);
+    this.update();
+  };
+
+  Catalog.prototype.update = function () {
+    this.render();
+    this.writeUrl();
+  };
+
+  /** Entries passing every active filter (any value within a group), sorted. */
+  Catalog.prototype.visible = function () {
+    const filters = this.filters;
+    const matches = this.entries.filter(function (entry) {
+      return GROUPS.every(function (group) {
+        const filter = filters[group.key];
+        return filter.size === 0 || filter.has(entry.values[group.key]);
+      });
+    });
+
+    // Samples without a page count (the Twine demo) go last either way.
+    const byPages = function (direction) {
+      return function (a, b) {
+        return (
+          !a.pages - !b.pages ||
+          direction * ((a.pages || 0) - (b.pages || 0)) ||
+          a.order - b.order
+        );
+      };
+    };
+    switch (this.sort) {
+      case "title":
+        return matches.sort(function (a, b) {
+          return a.title.localeCompare(b.title);
+        });
+      case "shortest":
+        return matches.sort(byPages(1));
+      case "longest":
+        return matches.sort(byPages(-1));
+      default:
+        return matches;
+    }
+  };
+
+  Catalog.prototype.render = function () {
+    this.chips.forEach(function (chip) {
+      const pressed = this.filters[chip.group].has(chip.value);
+      chip.el.setAttribute("aria-pressed", pressed ? "true" : "false");
+    }, this);
+    this.ui.sort.value = this.sort;
+
+    const active = GROUPS.some(function (group) {
+      return this.filters[group.key].size > 0;
+    }, this);
+    this.ui.clear.hidden = !active;
+
+    const entries = this.visible();
+    this.ui.list.replaceChildren(...entries.map(this.card, this));
+    this.ui.status.textContent = active
+      ? "Showing " + entries.length + " of " + this.entries.length + " samples."
+      : this.entries.length + " samples.";
+  };
+
+  Catalog.prototype.card = function (entry) {
+    const item = document.createElement("li");
+    const title = document.createElement("h3");
+    const link = document.createElement("a");
+    const meta = document.createElement("p");
+
+    item.className = "samples-catalog-card";
+    item.setAttribute("data-slug", entry.slug);
+    title.className = "samples-catalog-card-title";
+    link.href = new URL(encodeURI(entry.path), siteRoot).href;
+    link.textContent = entry.title;
+    title.appendChild(link);
+
+    meta.className = "samples-catalog-card-meta";
+    meta.textContent = [
+      entry.type,
+      entry.project,
+      entry.pages ? entry.pages + (entry.pages === 1 ? " page" : " pages") : null,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+    item.append(title, meta);
+
+    if (entry.summary) {
+      const summary = document.createElement("p");
+      summary.className = "samples-catalog-card-summary";
+      summary.textContent = entry.summary;
+      item.appendChild(summary);
+    }
+    if (entry.genre) {
+      const genre = document.createElement("p");
+      genre.className = "samples-catalog-card-detail";
+      genre.textContent = "Genre – " + entry.genre;
+      item.appendChild(genre);
+    }
+    if (entry.personality) {
+      const personality = document.createElement("p");
+      personality.className = "samples-catalog-card-detail";
+      personality.textContent = "Personality – " + entry.personality;
+      item.appendChild(personality);
+    }
+    if (entry.caseStudy) {
+      const caseStudy = document.createElement("p");
+      const caseLink = document.createElement("a");
+      caseStudy.className = "samples-catalog-card-detail";
+      caseLink.href = new URL(entry.caseStudy.path, siteRoot).href;
+      caseLink.textContent = entry.caseStudy.title;
+      caseStudy.append("Case study – ", caseLink);
+      item.appendChild(caseStudy);
+    }
+    if (window.SiteOffline && window.SiteOffline.supported && /\.pdf$/i.test(entry.path)) {
+      item.appendChild(window.SiteOffline.toggle(link.href, "samples-catalog-card-offline"));
+    }
+    return item;
+  };
+
+  function init(root) {
+    if (!instances.has(root)) {
+      const catalog = new Catalog(root);
+      instances.set(root, catalog);
+      catalog.load().catch(function () {
+        // The plain link list stays in place.
+      });
+    }
+    return instances.get(root);
+  }
+
+  window.SamplesCatalog = {
+    init: init,
+    get: function (root) {
+      return instances.get(root) || null;
+    },
+  };
+
+  function start() {
+    document.querySelectorAll(".samples-catalog").forEach(init);
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", start);
+  } else {
+    start();
+  }
+})(window, document);
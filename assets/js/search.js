@@ -0,0 +1,457 @@
+/**
+ * Full-text search box for the Astra header.
+ *
+ * Searches the case-study sections and PDF pages in
+ * assets/data/search-index.json (built by tools/build-search-index.js) and
+ * lists ranked results with the matched words highlighted. Page results
+ * deep-link to their section (`home/ar-mobile-game/index.html#section-<id>`,
+ * where the id is the Elementor widget's data-id); PDF results open the
+ * lightbox reader at the matching page, or the PDF itself without it.
+ *
+ * The box sits beside the menu toggle in both the desktop and mobile
+ * headers; "/" focuses it from anywhere on the page.
+ *
+ *   SiteSearch.search("user persona").then((results) => results[0].url);
+ */
+(function (window, document) {
+  "use strict";
+
+  const MAX_RESULTS = 8;
+  const SNIPPET_BEFORE = 60;
+  const SNIPPET_AFTER = 140;
+  const INPUT_DELAY = 120;
+
+  // Per-term weights; a term has to appear somewhere for an entry to match.
+  const WEIGHT_TITLE = 6;
+  const WEIGHT_SECTION = 4;
+  const WEIGHT_TEXT = 1;
+  const MAX_TEXT_HITS = 5;
+  const WEIGHT_PHRASE = 10;
+
+  const siteRoot = new URL("../../", document.currentScript.src);
+
+  let index = null;
+  let boxCount = 0;
+
+  function normalize(text) {
+    return text.toLowerCase().replace(/\s+/g, " ").trim();
+  }
+
+  function termsOf(query) {
+    return normalize(query).match(/[\p{L}\p{N}]+/gu) || [];
+  }
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  function countHits(haystack, term, limit) {
+    let count = 0;
+    let at = haystack.indexOf(term);
+    while (at !== -1 && count < limit) {
+      count++;
+      at = haystack.indexOf(term, at + term.length);
+    }
+    return count;
+  }
+
+  function loadIndex() {
+    if (!index) {
+      index = fetch(new URL("assets/data/search-index.json", siteRoot))
+        .then(function (response) {
+          if (!response.ok) throw new Error("HTTP " + response.status);
+          return response.json();
+        })
+        .then(function (data) {
+          return data.entries.map(function (entry) {
+            return Object.assign({}, entry, {
+              haystack: {
+                title: normalize(entry.title),
+                section: normalize(entry.section || ""),
+                text: normalize(entry.text),
+              },
+            });
+          });
+        });
+      // A failed fetch may be retried on the next search.
+      index.catch(function () {
+        index = null;
+      });
+    }
+    return index;
+  }
+
+  function score(entry, terms, phrase) {
+    const haystack = entry.haystack;
+    let total = 0;
+    for (let i = 0; i < terms.length; i++) {
+      const term = terms[i];
+      const termScore =
+        (haystack.title.indexOf(term) !== -1 ? WEIGHT_TITLE : 0) +
+        (haystack.section.indexOf(term) !== -1 ? WEIGHT_SECTION : 0) +
+        countHits(haystack.text, term, MAX_TEXT_HITS) * WEIGHT_TEXT;
+      if (termScore === 0) return 0;
+      total += termScore;
+    }
+    if (terms.length > 1 &&
+      (haystack.section.indexOf(phrase) !== -1 || haystack.text.indexOf(phrase) !== -1)) {
+      total += WEIGHT_PHRASE;
+    }
+    return total;
+  }
+
+  // ~200 characters of the entry's text around the first match.
+  function snippetFor(entry, terms, phrase) {
+    const text = entry.text;
+    let at = entry.haystack.text.indexOf(phrase);
+    if (at === -1) {
+      at = terms.reduce(function (first, term) {
+        const found = entry.haystack.text.indexOf(term);
+        return found !== -1 && (first === -1 || found < first) ? found : first;
+      }, -1);
+    }
+    if (at === -1) return text.slice(0, SNIPPET_BEFORE + SNIPPET_AFTER);
+
+    // Cut at word boundaries where there is one nearby.
+    let start = Math.max(0, at - SNIPPET_BEFORE);
+    let end = Math.min(text.length, at + SNIPPET_AFTER);
+    const startSpace = text.indexOf(" ", start);
+    const endSpace = text.lastIndexOf(" ", end);
+    if (start > 0 && startSpace !== -1 && startSpace < at) start = startSpace + 1;
+    if (end < text.length && endSpace > at) end = endSpace;
+    return (start > 0 ? "… " : "") + text.slice(start, end) + (end < text.length ? " …" : "");
+  }
+
+  /** Ranked results for `query`: [{ type, title, section, page, url, snippet, score }]. */
+  function search(query) {
+    const terms = termsOf(query);
+    if (terms.length === 0) return Promise.resolve([]);
+    const phrase = terms.join(" ");
+
+    return loadIndex().then(function (entries) {
+      return entries
+        .map(function (entry) {
+          return { entry: entry, score: score(entry, terms, phrase) };
+        })
+        .filter(function (match) {
+          return match.score > 0;
+        })
+        .sort(function (a, b) {
+          return b.score - a.score;
+        })
+        .slice(0, MAX_RESULTS)
+        .map(function (match) {
+          const entry = match.entry;
+          return {
+            type: entry.type,
+            title: entry.title,
+            section: entry.section || "",
+            page: entry.page || null,
+            url: new URL(entry.url, siteRoot).href,
+            snippet: snippetFor(entry, terms, phrase),
+            score: match.score,
+          };
+        });
+    });
+  }
+
+  // Appends `text` to `parent` with every query term wrapped in <mark>.
+  function appendHighlighted(parent, text, terms) {
+    if (terms.length === 0) {
+      parent.append(text);
+      return;
+    }
+    const pattern = new RegExp(
+      "(" + terms.map(escapeRegExp).sort(function (a, b) {
+        return b.length - a.length;
+      }).join("|") + ")",
+      "gi"
+    );
+    text.split(pattern).forEach(function (part, i) {
+      if (!part) return;
+      if (i % 2 === 1) {
+        const mark = document.createElement("mark");
+        mark.textContent = part;
+        parent.appendChild(mark);
+      } else {
+        parent.append(part);
+      }
+    });
+  }
+
+  function SearchBox(slot, before) {
+    const id = "site-search-" + ++boxCount;
+
+    this.root = document.createElement("div");
+    this.root.className = "site-search ast-builder-layout-element ast-flex site-header-focus-item";
+    this.root.innerHTML =
+      '<form class="site-search-form" role="search">' +
+      '<label class="screen-reader-text" data-field="label">Search case studies and samples</label>' +
+      '<input type="search" class="site-search-input" data-field="input" autocomplete="off" spellcheck="false" placeholder="Search…" role="combobox" aria-autocomplete="list" aria-expanded="false">' +
+      '<button type="submit" class="site-search-submit" aria-label="Search">' +
+      '<svg viewBox="0 0 24 24" width="18" height="18" aria-hidden="true" focusable="false"><path fill="currentColor" d="M10 2a8 8 0 0 1 6.32 12.9l5.39 5.4-1.41 1.41-5.4-5.39A8 8 0 1 1 10 2zm0 2a6 6 0 1 0 0 12 6 6 0 0 0 0-12z"/></svg>' +
+      "</button>" +
+      "</form>" +
+      '<div class="site-search-panel" data-field="panel" hidden>' +
+      '<p class="site-search-status" data-field="status" aria-live="polite"></p>' +
+      '<ul class="site-search-results" data-field="list" role="listbox"></ul>' +
+      "</div>";
+
+    this.form = this.root.querySelector("form");
+    this.input = this.root.querySelector('[data-field="input"]');
+    this.panel = this.root.querySelector('[data-field="panel"]');
+    this.status = this.root.querySelector('[data-field="status"]');
+    this.list = this.root.querySelector('[data-field="list"]');
+    this.options = [];
+    this.active = -1;
+    this.timer = null;
+    this.query = "";
+
+    this.input.id = id;
+    this.list.id = id + "-results";
+    this.root.querySelector('[data-field="label"]').setAttribute("for", id);
+    this.input.setAttribute("aria-controls", this.list.id);
+
+    slot.insertBefore(this.root, before || null);
+
+    this.input.addEventListener("focus", loadIndex);
+    this.input.addEventListener("input", this.schedule.bind(this));
+    this.input.addEventListener("keydown", this.onKeydown.bind(this));
+    this.form.addEventListener("submit", this.onSubmit.bind(this));
+    this.list.addEventListener("click", this.onResultClick.bind(this));
+    document.addEventListener("click", function (event) {
+      if (!this.root.contains(event.target)) this.close();
+    }.bind(this));
+  }
+
+  SearchBox.prototype.schedule = function () {
+    window.clearTimeout(this.timer);
+    this.timer = window.setTimeout(this.update.bind(this), INPUT_DELAY);
+  };
+
+  SearchBox.prototype.update = function () {
+    const query = this.input.value;
+    this.query = query;
+    if (termsOf(query).length === 0) {
+      this.close();
+      return Promise.resolve();
+    }
+
+    this.open();
+    this.status.textContent = "Searching…";
+    return search(query).then(
+      function (results) {
+        // A newer query may have finished first.
+        if (query === this.query) this.render(results);
+      }.bind(this),
+      function () {
+        if (query === this.query) {
+          this.render([]);
+          this.status.textContent = "Search is unavailable right now.";
+        }
+      }.bind(this)
+    );
+  };
+
+  SearchBox.prototype.render = function (results) {
+    const terms = termsOf(this.query);
+    this.list.replaceChildren();
+    this.options = results.map(function (result, i) {
+      const item = document.createElement("li");
+      const link = document.createElement("a");
+      const title = document.createElement("span");
+      const context = document.createElement("span");
+      const snippet = document.createElement("span");
+
+      item.id = this.list.id + "-" + i;
+      item.setAttribute("role", "option");
+      item.setAttribute("aria-selected", "false");
+      item.className = "site-search-result site-search-result-" + result.type;
+
+      link.href = result.type === "pdf" ? result.url + "#page=" + result.page : result.url;
+      link.tabIndex = -1;
+      link.setAttribute("data-index", i);
+
+      title.className = "site-search-result-title";
+      appendHighlighted(title, result.section || result.title, terms);
+      context.className = "site-search-result-context";
+      context.textContent = result.type === "pdf"
+        ? "PDF · " + result.title + " · page " + result.page
+        : result.title;
+      link.append(title, context);
+      if (result.snippet) {
+        snippet.className = "site-search-result-snippet";
+        appendHighlighted(snippet, result.snippet, terms);
+        link.appendChild(snippet);
+      }
+      item.appendChild(link);
+      this.list.appendChild(item);
+      return { item: item, link: link, result: result };
+    }, this);
+
+    this.status.textContent = results.length === 0
+      ? "No results for “" + this.query.trim() + "”."
+      : results.length + (results.length === 1 ? " result." : " results.");
+    this.setActive(-1);
+  };
+
+  SearchBox.prototype.open = function () {
+    this.panel.hidden = false;
+    this.input.setAttribute("aria-expanded", "true");
+  };
+
+  SearchBox.prototype.close = function () {
+    this.panel.hidden = true;
+    this.input.setAttribute("aria-expanded", "false");
+    this.setActive(-1);
+  };
+
+  SearchBox.prototype.setActive = function (index) {
+    this.active = index;
+    this.options.forEach(function (option, i) {
+      option.item.setAttribute("aria-selected", i === index ? "true" : "false");
+      option.item.classList.toggle("is-active", i === index);
+    });
+    if (index === -1) {
+      this.input.removeAttribute("aria-activedescendant");
+    } else {
+      this.input.setAttribute("aria-activedescendant", this.options[index].item.id);
+      this.options[index].item.scrollIntoView({ block: "nearest" });
+    }
+  };
+
+  SearchBox.prototype.onKeydown = function (event) {
+    const count = this.options.length;
+    switch (event.key) {
+      case "ArrowDown":
+        if (this.panel.hidden) {
+          this.update();
+        } else if (count) {
+          this.setActive((this.active + 1) % count);
+        }
+        break;
+      case "ArrowUp":
+        if (count) this.setActive((this.active - 1 + count) % count);
+        break;
+      case "Escape":
+        if (this.panel.hidden) {
+          this.input.value = "";
+        }
+        this.close();
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+  };
+
+  SearchBox.prototype.onSubmit = function (event) {
+    event.preventDefault();
+    window.clearTimeout(this.timer);
+    const pick = function () {
+      const option = this.options[Math.max(this.active, 0)];
+      if (option) this.follow(option);
+    }.bind(this);
+    // Enter before the results have caught up with the input searches first.
+    if (this.input.value !== this.query || this.panel.hidden) {
+      this.update().then(pick);
+    } else {
+      pick();
+    }
+  };
+
+  SearchBox.prototype.onResultClick = function (event) {
+    const link = event.target.closest("a[data-index]");
+    if (!link || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey) {
+      return;
+    }
+    event.preventDefault();
+    this.follow(this.options[Number(link.getAttribute("data-index"))]);
+  };
+
+  SearchBox.prototype.follow = function (option) {
+    const result = option.result;
+    this.close();
+    if (result.type === "pdf" && window.PdfViewer) {
+      window.PdfViewer.open(result.url, { page: result.page, title: result.title });
+      return;
+    }
+    if (option.link.href === window.location.href) {
+      revealSection();
+    } else {
+      window.location.href = option.link.href;
+    }
+  };
+
+  // Shows the widget named by a `#section-<data-id>` hash.
+  function revealSection() {
+    const match = /^#section-([\w-]+)$/.exec(window.location.hash);
+    if (!match) return;
+    const target = document.querySelector('.elementor-element[data-id="' + match[1] + '"]');
+    if (!target) return;
+
+    // A section inside a custom tab is hidden until its tab is shown,
+    // outermost tab first when tabs are nested.
+    const panes = [];
+    for (let pane = target.closest(".tab-pane"); pane; pane = pane.parentElement.closest(".tab-pane")) {
+      panes.unshift(pane);
+    }
+    if (window.CustomTabs) {
+      panes.forEach(function (pane) {
+        const tabs = window.CustomTabs.init(pane.parentElement.parentElement);
+        const index = tabs.panes.indexOf(pane);
+        if (index !== -1) tabs.activate(index);
+      });
+    }
+
+    target.classList.remove("elementor-invisible");
+    target.setAttribute("tabindex", "-1");
+    target.scrollIntoView({ block: "start" });
+    target.focus({ preventScroll: true });
+    target.classList.add("site-search-target");
+    window.setTimeout(function () {
+      target.classList.remove("site-search-target");
+    }, 2000);
+  }
+
+  function start() {
+    const boxes = [];
+    document.querySelectorAll("#ast-desktop-header .site-header-primary-section-center").forEach(
+      function (slot) {
+        boxes.push(new SearchBox(slot));
+      }
+    );
+    // On mobile the box goes just before the menu toggle.
+    document.querySelectorAll('#ast-mobile-header [data-section="section-header-mobile-trigger"]').forEach(
+      function (toggle) {
+        boxes.push(new SearchBox(toggle.parentNode, toggle));
+      }
+    );
+
+    document.addEventListener("keydown", function (event) {
+      if (event.key !== "/" || event.ctrlKey || event.metaKey || event.altKey) return;
+      const target = event.target;
+      if (target.isContentEditable || /^(?:INPUT|TEXTAREA|SELECT)$/.test(target.tagName)) return;
+      const visible = boxes.find(function (box) {
+        return box.input.offsetParent !== null;
+      });
+      if (!visible) return;
+      event.preventDefault();
+      visible.input.focus();
+    });
+
+    revealSection();
+  }
+
+  window.addEventListener("hashchange", revealSection);
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", start);
+  } else {
+    start();
+  }
+
+  window.SiteSearch = {
+    search: search,
+    load: loadIndex,
+  };
+})(window, document);
@@ -0,0 +1,218 @@
+/**
+ * Shared tab widget, loaded on every page.
+ *
+ * Turns any `.tab-links > .tab-link` / `.tab-content > .tab-pane` markup
+ * (the `.custom-tabs-N` HTML widgets) into WAI-ARIA tabs with arrow
+ * navigation, Left/Right/Home/End keys and URL-hash deep links. Links and
+ * panes are paired by position, so the markup needs no per-widget script.
+ *
+ *   const tabs = CustomTabs.get(document.querySelector(".custom-tabs-1"));
+ *   tabs.activate(2);
+ *   tabWidget.addEventListener("tabchange", (e) => e.detail.index);
+ */
+(function (window, document) {
+  "use strict";
+
+  const instances = new WeakMap();
+
+  function directChildren(parent, className) {
+    if (!parent) return [];
+    return Array.prototype.filter.call(parent.children, function (child) {
+      return child.classList.contains(className);
+    });
+  }
+
+  // Widgets have no ids of their own, so borrow the Elementor widget id.
+  function widgetPrefix(root) {
+    if (root.id) return root.id;
+    const widget = root.closest("[data-id]");
+    return "tabs-" + (widget ? widget.getAttribute("data-id") : "widget");
+  }
+
+  function makeButton(el, label, onActivate) {
+    el.setAttribute("role", "button");
+    el.setAttribute("tabindex", "0");
+    el.setAttribute("aria-label", label);
+    el.addEventListener("click", onActivate);
+    el.addEventListener("keydown", function (event) {
+      if (event.key === "Enter" || event.key === " ") {
+        event.preventDefault();
+        onActivate();
+      }
+    });
+  }
+
+  function Tabs(root) {
+    const tabList = root.querySelector(".tab-links");
+    const prefix = widgetPrefix(root);
+
+    this.root = root;
+    this.links = directChildren(tabList, "tab-link");
+    this.panes = directChildren(root.querySelector(".tab-content"), "tab-pane");
+    this.index = Math.max(
+      0,
+      this.links.findIndex(function (link) {
+        return link.classList.contains("active");
+      })
+    );
+
+    tabList.setAttribute("role", "tablist");
+
+    this.links.forEach(function (link, index) {
+      const pane = this.panes[index];
+      const key = link.getAttribute("data-tab") || "tab-" + (index + 1);
+
+      link.id = link.id || prefix + "-" + key + "-link";
+      link.setAttribute("role", "tab");
+      link.addEventListener("click", this.activate.bind(this, index, true));
+      link.addEventListener("keydown", this.onKeydown.bind(this));
+
+      if (!pane) return;
+      pane.id = pane.id || prefix + "-" + key;
+      pane.setAttribute("role", "tabpanel");
+      pane.setAttribute("tabindex", "0");
+      pane.setAttribute("aria-labelledby", link.id);
+      link.setAttribute("aria-controls", pane.id);
+    }, this);
+
+    const prevArrow = root.querySelector(".tab-nav-arrows .arrow.prev");
+    const nextArrow = root.querySelector(".tab-nav-arrows .arrow.next");
+    if (prevArrow) {
+      makeButton(prevArrow, "Previous tab", this.step.bind(this, -1));
+    }
+    if (nextArrow) {
+      makeButton(nextArrow, "Next tab", this.step.bind(this, 1));
+    }
+
+    this.render();
+  }
+
+  Tabs.prototype.render = function () {
+    this.links.forEach(function (link, index) {
+      const selected = index === this.index;
+      link.classList.toggle("active", selected);
+      link.setAttribute("aria-selected", selected ? "true" : "false");
+      link.setAttribute("tabindex", selected ? "0" : "-1");
+    }, this);
+    this.panes.forEach(function (pane, index) {
+      pane.classList.toggle("active", index === this.index);
+    }, this);
+  };
+
+  /**
+   * Shows the tab at `index` and fires `tabchange` on the widget root.
+   * `fromUser` also moves focus and records the tab in the URL hash.
+   */
+  Tabs.prototype.activate = function (index, fromUser) {
+    if (index < 0 || index >= this.links.length || index === this.index) {
+      return;
+    }
+    const previousIndex = this.index;
+    this.index = index;
+    this.render();
+
+    const pane = this.panes[index];
+    if (fromUser === true) {
+      this.links[index].focus();
+      if (pane && window.history.replaceState) {
+        window.history.replaceState(null, "", "#" + pane.id);
+      }
+    }
+
+    this.root.dispatchEvent(
+      new CustomEvent("tabchange", {
+        bubbles: true,
+        detail: {
+          index: index,
+          previousIndex: previousIndex,
+          tab: this.links[index],
+          pane: pane || null,
+        },
+      })
+    );
+  };
+
+  Tabs.prototype.step = function (delta) {
+    const count = this.links.length;
+    this.activate((this.index + delta + count) % count, true);
+  };
+
+  Tabs.prototype.onKeydown = function (event) {
+    switch (event.key) {
+      case "ArrowLeft":
+        this.step(-1);
+        break;
+      case "ArrowRight":
+        this.step(1);
+        break;
+      case "Home":
+        this.activate(0, true);
+        break;
+      case "End":
+        this.activate(this.links.length - 1, true);
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+  };
+
+  // Returns true when the hash named one of this widget's panes.
+  Tabs.prototype.showHash = function (hash) {
+    let id;
+    try {
+      id = decodeURIComponent(hash.replace(/^#/, ""));
+    } catch (e) {
+      return false;
+    }
+    const index = this.panes.findIndex(function (pane) {
+      return pane.id === id;
+    });
+    if (index === -1) return false;
+    this.activate(index);
+    return true;
+  };
+
+  function init(root) {
+    if (!instances.has(root)) {
+      instances.set(root, new Tabs(root));
+    }
+    return instances.get(root);
+  }
+
+  function initAll(scope) {
+    return Array.prototype.map.call(
+      (scope || document).querySelectorAll(".tab-links"),
+      function (tabList) {
+        return init(tabList.parentElement);
+      }
+    );
+  }
+
+  function syncHash() {
+    if (!window.location.hash) return;
+    initAll().some(function (tabs) {
+      return tabs.showHash(window.location.hash);
+    });
+  }
+
+  window.CustomTabs = {
+    init: init,
+    initAll: initAll,
+    get: function (root) {
+      return instances.get(root) || null;
+    },
+  };
+
+  function start() {
+    initAll();
+    syncHash();
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", start);
+  } else {
+    start();
+  }
+  window.addEventListener("hashchange", syncHash);
+})(window, document);
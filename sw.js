@@ -0,0 +1,269 @@
+/**
+ * Service worker for reading the portfolio offline.
+ *
+ * Registered by assets/js/offline.js. On install it precaches the pages,
+ * theme and Elementor scripts, stylesheets and fonts listed in PRECACHE
+ * below, which tools/build-service-worker.js writes, along with VERSION, a
+ * hash of those files. Any change to a precached file changes VERSION, so
+ * the browser installs the new worker and the old caches are dropped when it
+ * takes over.
+ *
+ *   - Pages are fetched from the network first, then the cache, then
+ *     offline/index.html.
+ *   - Other files come from the cache first. Anything not precached
+ *     (images, mostly) is cached the first time it loads.
+ *   - PDFs are only cached when a reader marks them "Available offline".
+ *     That cache (PDF_CACHE) is kept across versions; the toggle itself is
+ *     in assets/js/offline.js.
+ */
+"use strict";
+
+// precache:start
+const VERSION = "9ca9a9e196b5";
+const PRECACHE = [
+  "404_not_found/index.html",
+  "about/index.html",
+  "assets/css/offline.css",
+  "assets/css/pdf-viewer.css",
+  "assets/css/samples-catalog.css",
+  "assets/css/search.css",
+  "assets/css/status-page.css",
+  "assets/data/downloads.json",
+  "assets/data/search-index.json",
+  "assets/images/icon.svg",
+  "assets/js/offline.js",
+  "assets/js/pdf-viewer.js",
+  "assets/js/samples-catalog.js",
+  "assets/js/search.js",
+  "assets/js/tabs.js",
+  "assets/vendor/pdfjs/3.11.174/pdf.min.js",
+  "assets/vendor/pdfjs/3.11.174/pdf.worker.min.js",
+  "downloads/The Guernica Engine/Twine Demo/TheGuernicaEngineDemo.html",
+  "home/ar-mobile-game/index.html",
+  "home/becoming-pablo/index.html",
+  "home/four-moons-tales-of-occi/index.html",
+  "home/the-guernica-engine/index.html",
+  "home/trackster-labs/index.html",
+  "index.html",
+  "manifest.webmanifest",
+  "offline/index.html",
+  "wp-content/plugins/astra-sites/inc/lib/onboarding/assets/dist/template-preview/main.js",
+  "wp-content/plugins/elementor/assets/css/conditionals/apple-webkit.min.css",
+  "wp-content/plugins/elementor/assets/css/conditionals/e-swiper.min.css",
+  "wp-content/plugins/elementor/assets/css/frontend.min.css",
+  "wp-content/plugins/elementor/assets/css/widget-divider.min.css",
+  "wp-content/plugins/elementor/assets/css/widget-heading.min.css",
+  "wp-content/plugins/elementor/assets/css/widget-image.min.css",
+  "wp-content/plugins/elementor/assets/css/widget-social-icons.min.css",
+  "wp-content/plugins/elementor/assets/css/widget-spacer.min.css",
+  "wp-content/plugins/elementor/assets/css/widget-text-editor.min.css",
+  "wp-content/plugins/elementor/assets/css/widget-toggle.min.css",
+  "wp-content/plugins/elementor/assets/js/accordion.8799675460c73eb48972.bundle.min.js",
+  "wp-content/plugins/elementor/assets/js/frontend-modules.min.js",
+  "wp-content/plugins/elementor/assets/js/frontend.min.js",
+  "wp-content/plugins/elementor/assets/js/lightbox.26bf6b6c4232d8789c0e.bundle.min.js",
+  "wp-content/plugins/elementor/assets/js/tabs.c2af5be7f9cb3cdcf3d5.bundle.min.js",
+  "wp-content/plugins/elementor/assets/js/text-editor.2c35aafbe5bf0e127950.bundle.min.js",
+  "wp-content/plugins/elementor/assets/js/toggle.31881477c45ff5cf9d4d.bundle.min.js",
+  "wp-content/plugins/elementor/assets/js/webpack.runtime.min.js",
+  "wp-content/plugins/elementor/assets/lib/animations/styles/e-animation-sink.min.css",
+  "wp-content/plugins/elementor/assets/lib/font-awesome/webfonts/fa-brands-400.ttf",
+  "wp-content/plugins/elementor/assets/lib/font-awesome/webfonts/fa-brands-400.woff",
+  "wp-content/plugins/elementor/assets/lib/font-awesome/webfonts/fa-brands-400.woff2",
+  "wp-content/plugins/elementor/assets/lib/font-awesome/webfonts/fa-regular-400.ttf",
+  "wp-content/plugins/elementor/assets/lib/font-awesome/webfonts/fa-regular-400.woff",
+  "wp-content/plugins/elementor/assets/lib/font-awesome/webfonts/fa-regular-400.woff2",
+  "wp-content/plugins/elementor/assets/lib/font-awesome/webfonts/fa-solid-900.ttf",
+  "wp-content/plugins/elementor/assets/lib/font-awesome/webfonts/fa-solid-900.woff",
+  "wp-content/plugins/elementor/assets/lib/font-awesome/webfonts/fa-solid-900.woff2",
+  "wp-content/plugins/elementor/assets/lib/swiper/v8/css/swiper.min.css",
+  "wp-content/plugins/pro-elements/assets/css/frontend.min.css",
+  "wp-content/plugins/pro-elements/assets/js/elements-handlers.min.js",
+  "wp-content/plugins/pro-elements/assets/js/frontend.min.js",
+  "wp-content/plugins/pro-elements/assets/js/gallery.8ca9a354ce039d1ba641.bundle.min.js",
+  "wp-content/plugins/pro-elements/assets/js/loop-carousel.4e8fd6593adbba21698e.bundle.min.js",
+  "wp-content/plugins/pro-elements/assets/js/loop.4f538ab2476dd2d124e6.bundle.min.js",
+  "wp-content/plugins/pro-elements/assets/js/webpack-pro.runtime.min.js",
+  "wp-content/themes/astra/assets/css/minified/frontend.min.css",
+  "wp-content/themes/astra/assets/css/minified/menu-animation.min.css",
+  "wp-content/themes/astra/assets/fonts/astra.ttf",
+  "wp-content/themes/astra/assets/fonts/astra.woff",
+  "wp-content/themes/astra/assets/js/minified/frontend.min.js",
+  "wp-content/uploads/elementor/css/post-1364.css",
+  "wp-content/uploads/elementor/css/post-1508.css",
+  "wp-content/uploads/elementor/css/post-1509.css",
+  "wp-content/uploads/elementor/css/post-1512.css",
+  "wp-content/uploads/elementor/css/post-1513.css",
+  "wp-content/uploads/elementor/css/post-1722.css",
+  "wp-content/uploads/elementor/css/post-213.css",
+  "wp-content/uploads/elementor/css/post-214.css",
+  "wp-content/uploads/elementor/css/post-2858.css",
+  "wp-content/uploads/elementor/css/post-2867.css",
+  "wp-content/uploads/elementor/css/post-2884.css",
+  "wp-content/uploads/elementor/css/post-2934.css",
+  "wp-content/uploads/elementor/css/post-2938.css",
+  "wp-content/uploads/elementor/css/post-2950.css",
+  "wp-content/uploads/elementor/css/post-2958.css",
+  "wp-content/uploads/elementor/css/post-3948.css",
+  "wp-content/uploads/elementor/css/post-3959.css",
+  "wp-content/uploads/elementor/css/post-3963.css",
+  "wp-content/uploads/elementor/css/post-3967.css",
+  "wp-content/uploads/elementor/css/post-42.css",
+  "wp-content/uploads/elementor/css/post-4219.css",
+  "wp-content/uploads/elementor/css/post-4320.css",
+  "wp-content/uploads/elementor/css/post-4336.css",
+  "wp-includes/js/dist/dom-ready.min.js",
+  "wp-includes/js/dist/hooks.min.js",
+  "wp-includes/js/dist/i18n.min.js",
+  "wp-includes/js/jquery/jquery-migrate.min.js",
+  "wp-includes/js/jquery/jquery.min.js",
+  "wp-includes/js/jquery/ui/core.min.js",
+  "writing-samples/index.html"
+];
+// precache:end
+
+const CACHE_PREFIX = "portfolio-";
+const SHELL_CACHE = CACHE_PREFIX + "shell-" + VERSION;
+const RUNTIME_CACHE = CACHE_PREFIX + "runtime-" + VERSION;
+const PDF_CACHE = CACHE_PREFIX + "pdfs";
+const OFFLINE_PAGE = "offline/index.html";
+
+const scope = new URL("./", self.location.href);
+
+function isPdf(url) {
+  return /\.pdf$/i.test(url.pathname);
+}
+
+// "home/x/" and "home/x/index.html" are the same page.
+function cacheKey(url) {
+  const key = new URL(url.href);
+  key.hash = "";
+  if (key.pathname.endsWith("/")) key.pathname += "index.html";
+  return key.href;
+}
+
+self.addEventListener("install", function (event) {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then(function (cache) {
+        return cache.addAll(
+          PRECACHE.map(function (file) {
+            // Skip the HTTP cache so a new version never precaches stale files.
+            return new Request(new URL(file, scope), { cache: "reload" });
+          })
+        );
+      })
+      .then(function () {
+        return self.skipWaiting();
+      })
+  );
+});
+
+self.addEventListener("activate", function (event) {
+  const keep = [SHELL_CACHE, RUNTIME_CACHE, PDF_CACHE];
+  event.waitUntil(
+    caches
+      .keys()
+      .then(function (names) {
+        return Promise.all(
+          names
+            .filter(function (name) {
+              return name.startsWith(CACHE_PREFIX) && keep.indexOf(name) === -1;
+            })
+            .map(function (name) {
+              return caches.delete(name);
+            })
+        );
+      })
+      .then(function () {
+        return self.clients.claim();
+      })
+  );
+});
+
+// Precached files are looked up without their ?ver= query strings.
+function fromCache(request) {
+  return caches.match(cacheKey(new URL(request.url)), { ignoreSearch: true });
+}
+
+function page(request) {
+  return fetch(request).catch(function () {
+    return fromCache(request).then(function (cached) {
+      return cached || caches.match(new URL(OFFLINE_PAGE, scope).href);
+    });
+  });
+}
+
+function asset(request) {
+  return fromCache(request).then(function (cached) {
+    if (cached) return cached;
+    return fetch(request).then(function (response) {
+      if (response.status === 200 && response.type === "basic") {
+        const copy = response.clone();
+        caches.open(RUNTIME_CACHE).then(function (cache) {
+          cache.put(cacheKey(new URL(request.url)), copy);
+        });
+      }
+      return response;
+    });
+  });
+}
+
+// pdf.js asks for byte ranges of large files, so a saved PDF has to answer
+// Range requests itself.
+function rangeOf(response, header) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  return response.blob().then(function (blob) {
+    let start;
+    let end;
+    if (match && match[1]) {
+      start = Number(match[1]);
+      end = match[2] ? Math.min(Number(match[2]), blob.size - 1) : blob.size - 1;
+    } else if (match && match[2]) {
+      start = Math.max(blob.size - Number(match[2]), 0);
+      end = blob.size - 1;
+    }
+    if (start === undefined || start > end) {
+      return new Response(null, {
+        status: 416,
+        headers: { "Content-Range": "bytes */" + blob.size },
+      });
+    }
+    return new Response(blob.slice(start, end + 1), {
+      status: 206,
+      headers: {
+        "Content-Type": response.headers.get("Content-Type") || "application/pdf",
+        "Content-Length": String(end - start + 1),
+        "Content-Range": "bytes " + start + "-" + end + "/" + blob.size,
+      },
+    });
+  });
+}
+
+function savedPdf(request) {
+  return caches
+    .open(PDF_CACHE)
+    .then(function (cache) {
+      return cache.match(request.url, { ignoreSearch: true });
+    })
+    .then(function (cached) {
+      if (!cached) return request.mode === "navigate" ? page(request) : fetch(request);
+      const range = request.headers.get("Range");
+      return range ? rangeOf(cached, range) : cached;
+    });
+}
+
+self.addEventListener("fetch", function (event) {
+  const request = event.request;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== scope.origin) return;
+
+  if (isPdf(url)) {
+    event.respondWith(savedPdf(request));
+  } else if (request.mode === "navigate") {
+    event.respondWith(page(request));
+  } else {
+    event.respondWith(asset(request));
+  }
+});
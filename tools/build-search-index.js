@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+/**
+ * Builds the static full-text search index used by assets/js/search.js.
+ *
+ * Pulls the text of every Elementor heading and text-editor widget out of
+ * home/<case study>/index.html, grouped into sections that start at each
+ * heading, and the text of every page of the PDFs listed in
+ * assets/data/downloads.json (extracted with the bundled pdf.js). Writes
+ * assets/data/search-index.json.
+ *
+ * Re-run it after editing a case study or adding a PDF:
+ *
+ *   node tools/build-search-index.js [--root <dir>] [--out <file>]
+ */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const INDEX_VERSION = 1;
+const PDFJS_DIR = "assets/vendor/pdfjs/3.11.174";
+
+// Page titles end with the site name, which is noise in results.
+const TITLE_SUFFIX = /\s+[–-]\s+Ramendra['’]s Portfolio$/;
+
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  ndash: "–",
+  mdash: "—",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+  hellip: "…",
+  bull: "•",
+};
+
+function parseArgs(argv) {
+  const root = path.resolve(__dirname, "..");
+  const options = { root: root, out: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--root") {
+      options.root = path.resolve(argv[++i]);
+    } else if (argv[i] === "--out") {
+      options.out = path.resolve(argv[++i]);
+    } else {
+      throw new Error("Unknown option: " + argv[i]);
+    }
+  }
+  options.out = options.out || path.join(options.root, "assets/data/search-index.json");
+  return options;
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, function (all, name) {
+    if (name.charAt(0) === "#") {
+      const code = name.charAt(1).toLowerCase() === "x"
+        ? parseInt(name.slice(2), 16)
+        : parseInt(name.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[name.toLowerCase()] || all;
+  });
+}
+
+/** Markup to a single line of plain text; block tags become word breaks. */
+function plainText(html) {
+  return decodeEntities(
+    html
+      .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, " ")
+      .replace(/<br\s*\/?>|<\/(?:p|li|h[1-6]|div|tr)>/gi, " ")
+      .replace(/<[^>]+>/g, "")
+  )
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/** Returns the markup inside the <div> that opens at `start`. */
+function innerDiv(html, start) {
+  const tag = /<(\/?)div\b[^>]*>/gi;
+  tag.lastIndex = start;
+  let depth = 0;
+  let contentStart = -1;
+  let match;
+  while ((match = tag.exec(html))) {
+    if (match[1]) {
+      depth--;
+      if (depth === 0) return html.slice(contentStart, match.index);
+    } else {
+      if (depth === 0) contentStart = tag.lastIndex;
+      depth++;
+    }
+  }
+  return html.slice(contentStart);
+}
+
+/**
+ * Heading and text-editor widgets of a page, in document order:
+ * [{ id, type: "heading" | "text", text }].
+ */
+function pageWidgets(html) {
+  const widgets = [];
+  const markup = html.replace(/<!--[\s\S]*?-->/g, "");
+  const opening = /<div\s[^>]*class="[^"]*\belementor-widget-(heading|text-editor)\b[^"]*"[^>]*>/g;
+  let match;
+  while ((match = opening.exec(markup))) {
+    const id = /\sdata-id="([^"]+)"/.exec(match[0]);
+    const text = plainText(innerDiv(markup, match.index));
+    if (!id || !text) continue;
+    widgets.push({
+      id: id[1],
+      type: match[1] === "heading" ? "heading" : "text",
+      text: text,
+    });
+  }
+  return widgets;
+}
+
+/** Splits a case-study page into one index entry per heading section. */
+function indexPage(html, url) {
+  const titleMatch = /<title>([\s\S]*?)<\/title>/i.exec(html);
+  const title = titleMatch
+    ? plainText(titleMatch[1]).replace(TITLE_SUFFIX, "")
+    : url;
+
+  const entries = [];
+  let current = null;
+  pageWidgets(html).forEach(function (widget) {
+    if (widget.type === "heading" || !current) {
+      current = {
+        type: "page",
+        title: title,
+        section: widget.type === "heading" ? widget.text : "",
+        url: url + "#section-" + widget.id,
+        text: widget.type === "heading" ? "" : widget.text,
+      };
+      entries.push(current);
+      return;
+    }
+    current.text += (current.text ? " " : "") + widget.text;
+  });
+  return entries;
+}
+
+function loadPdfjs(root) {
+  const pdfjs = require(path.join(root, PDFJS_DIR, "pdf.min.js"));
+  pdfjs.GlobalWorkerOptions.workerSrc = path.join(root, PDFJS_DIR, "pdf.worker.min.js");
+  return pdfjs;
+}
+
+/** One index entry per PDF page that has any text. */
+async function indexPdf(pdfjs, file, download) {
+  const data = new Uint8Array(fs.readFileSync(file));
+  // Only text is read, so pdf.js's font fallback warnings are irrelevant.
+  const doc = await pdfjs.getDocument({
+    data: data,
+    isEvalSupported: false,
+    verbosity: pdfjs.VerbosityLevel.ERRORS,
+  }).promise;
+  const entries = [];
+  try {
+    for (let number = 1; number <= doc.numPages; number++) {
+      const page = await doc.getPage(number);
+      const content = await page.getTextContent();
+      const text = content.items
+        .map((item) => item.str + (item.hasEOL ? " " : ""))
+        .join("")
+        .replace(/\s+/g, " ")
+        .trim();
+      if (!text) continue;
+      entries.push({
+        type: "pdf",
+        title: download.title,
+        slug: download.slug,
+        page: number,
+        url: encodeURI(download.path),
+        text: text,
+      });
+    }
+  } finally {
+    await doc.destroy();
+  }
+  return entries;
+}
+
+async function build(root) {
+  const entries = [];
+
+  const home = path.join(root, "home");
+  fs.readdirSync(home, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .sort()
+    .forEach(function (name) {
+      const file = path.join(home, name, "index.html");
+      if (!fs.existsSync(file)) return;
+      const html = fs.readFileSync(file, "utf8");
+      indexPage(html, "home/" + name + "/index.html").forEach((entry) => entries.push(entry));
+    });
+
+  const downloads = JSON.parse(
+    fs.readFileSync(path.join(root, "assets/data/downloads.json"), "utf8")
+  );
+  const pdfjs = loadPdfjs(root);
+  for (const download of downloads.filter((entry) => /\.pdf$/i.test(entry.path))) {
+    const file = path.join(root, download.path);
+    try {
+      (await indexPdf(pdfjs, file, download)).forEach((entry) => entries.push(entry));
+    } catch (error) {
+      console.warn("Skipping " + download.path + ": " + error.message);
+    }
+  }
+
+  return { version: INDEX_VERSION, entries: entries };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const index = await build(options.root);
+  fs.writeFileSync(options.out, JSON.stringify(index) + "\n");
+
+  const pages = index.entries.filter((entry) => entry.type === "page").length;
+  console.log(
+    "Indexed " + pages + " page sections and " + (index.entries.length - pages) +
+      " PDF pages into " + path.relative(process.cwd(), options.out)
+  );
+}
+
+if (require.main === module) {
+  main().catch(function (error) {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { build, indexPage, pageWidgets, plainText, loadPdfjs };
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+/**
+ * Writes the precache list and cache version into sw.js.
+ *
+ * The list holds every page (the case studies, the top-level pages, the
+ * offline and 404 pages and the Twine demo) plus the scripts, stylesheets
+ * and fonts they load, found the same way tools/check-links.js finds them.
+ * It also holds the fonts nginx_rules.conf serves, Elementor's on-demand
+ * webpack chunks, the search and downloads data, and the bundled pdf.js.
+ * Images and PDFs are left out. The service worker caches images as they are
+ * viewed, and PDFs only when a reader asks for them.
+ *
+ * VERSION is a hash of the listed files, so re-run this after changing any
+ * of them (or after tools/build-search-index.js / tools/update-downloads.js)
+ * and returning visitors will pick up the new files.
+ *
+ *   node tools/build-service-worker.js [--root <dir>]
+ */
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const {
+  htmlReferences,
+  cssReferences,
+  resolveReference,
+  nginxReferences,
+} = require("./check-links");
+
+const WORKER = "sw.js";
+const PRECACHE_START = "// precache:start";
+const PRECACHE_END = "// precache:end";
+const TOP_LEVEL_PAGES = [
+  "index.html",
+  "about/index.html",
+  "writing-samples/index.html",
+  "offline/index.html",
+  "404_not_found/index.html",
+];
+const STANDALONE_PAGES = [
+  "downloads/The Guernica Engine/Twine Demo/TheGuernicaEngineDemo.html",
+];
+// Loaded by scripts or the web app manifest rather than linked from the pages.
+const RUNTIME_FILES = [
+  "manifest.webmanifest",
+  "assets/images/icon.svg",
+  "assets/data/downloads.json",
+  "assets/data/search-index.json",
+  "assets/vendor/pdfjs/3.11.174/pdf.min.js",
+  "assets/vendor/pdfjs/3.11.174/pdf.worker.min.js",
+];
+// Elementor's webpack chunks, which its runtime loads on demand.
+const WEBPACK_CHUNK = /\.[0-9a-f]{20}\.bundle\.min\.js$/;
+const SHELL_FILE = /\.(?:css|js|woff2?|ttf|eot|otf)$/i;
+const FONT_FILE = /\.(?:woff2?|ttf|eot|otf)$/i;
+
+function parseArgs(argv) {
+  const options = { root: path.resolve(__dirname, "..") };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--root") {
+      options.root = path.resolve(argv[++i]);
+    } else {
+      throw new Error("Unknown option: " + argv[i]);
+    }
+  }
+  return options;
+}
+
+function webpackChunks(root) {
+  const plugins = path.join(root, "wp-content/plugins");
+  if (!fs.existsSync(plugins)) return [];
+  return fs.readdirSync(plugins).reduce(function (files, plugin) {
+    const dir = "wp-content/plugins/" + plugin + "/assets/js";
+    if (!fs.existsSync(path.join(root, dir))) return files;
+    return files.concat(
+      fs
+        .readdirSync(path.join(root, dir))
+        .filter((name) => WEBPACK_CHUNK.test(name))
+        .map((name) => dir + "/" + name)
+    );
+  }, []);
+}
+
+function caseStudies(root) {
+  return fs
+    .readdirSync(path.join(root, "home"), { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => "home/" + entry.name + "/index.html")
+    .filter((page) => fs.existsSync(path.join(root, page)))
+    .sort();
+}
+
+/** The files to precache, and any the pages or nginx name that are missing. */
+function precacheList(root) {
+  const files = new Set();
+  const missing = new Set();
+
+  function add(file, from) {
+    if (fs.existsSync(path.join(root, file))) {
+      files.add(file);
+      return true;
+    }
+    missing.add(file + " (from " + from + ")");
+    return false;
+  }
+
+  function addStylesheet(file) {
+    if (files.has(file) || !add(file, "a page")) return;
+    const css = fs.readFileSync(path.join(root, file), "utf8");
+    cssReferences(css).forEach(function (ref) {
+      const resolved = resolveReference(ref.url, file);
+      if (!resolved || resolved.outside) return;
+      if (/\.css$/i.test(resolved.path)) addStylesheet(resolved.path);
+      else if (FONT_FILE.test(resolved.path)) add(resolved.path, file);
+    });
+  }
+
+  const pages = TOP_LEVEL_PAGES.concat(caseStudies(root));
+  pages.forEach(function (page) {
+    if (!add(page, "the page list")) return;
+    const html = fs.readFileSync(path.join(root, page), "utf8");
+    htmlReferences(html).forEach(function (ref) {
+      const resolved = resolveReference(ref.url, page);
+      if (!resolved || resolved.outside || !SHELL_FILE.test(resolved.path)) return;
+      if (/\.css$/i.test(resolved.path)) addStylesheet(resolved.path);
+      else add(resolved.path, page);
+    });
+  });
+  STANDALONE_PAGES.concat(RUNTIME_FILES, webpackChunks(root)).forEach((file) => add(file, WORKER));
+
+  const nginxPath = path.join(root, "nginx_rules.conf");
+  if (fs.existsSync(nginxPath)) {
+    nginxReferences(fs.readFileSync(nginxPath, "utf8")).forEach(function (ref) {
+      const file = ref.url.replace(/^\//, "");
+      if (FONT_FILE.test(file)) add(file, "nginx_rules.conf");
+    });
+  }
+
+  return { files: Array.from(files).sort(), missing: Array.from(missing).sort() };
+}
+
+function versionOf(root, files) {
+  const hash = crypto.createHash("sha256");
+  files.forEach(function (file) {
+    hash.update(file + "\0");
+    hash.update(fs.readFileSync(path.join(root, file)));
+  });
+  return hash.digest("hex").slice(0, 12);
+}
+
+function build(root) {
+  const list = precacheList(root);
+  const version = versionOf(root, list.files);
+  const workerPath = path.join(root, WORKER);
+  const worker = fs.readFileSync(workerPath, "utf8");
+  const start = worker.indexOf(PRECACHE_START);
+  const end = worker.indexOf(PRECACHE_END);
+  if (start === -1 || end < start) {
+    throw new Error(WORKER + " has no precache markers");
+  }
+  fs.writeFileSync(
+    workerPath,
+    worker.slice(0, start + PRECACHE_START.length) +
+      "\nconst VERSION = " + JSON.stringify(version) + ";\n" +
+      "const PRECACHE = " + JSON.stringify(list.files, null, 2) + ";\n" +
+      worker.slice(end)
+  );
+  return { version: version, files: list.files, missing: list.missing };
+}
+
+if (require.main === module) {
+  const result = build(parseArgs(process.argv.slice(2)).root);
+  result.missing.forEach((file) => console.warn("Not precached, file is missing: " + file));
+  console.log(
+    "Wrote " + result.files.length + " files to precache, version " + result.version
+  );
+}
+
+module.exports = { build, precacheList };
@@ -0,0 +1,418 @@
+#!/usr/bin/env node
+/**
+ * Link and asset integrity checker for the static mirror.
+ *
+ * Crawls every index.html in the tree, resolves each local href/src/srcset
+ * and CSS url() reference (including those inside linked stylesheets)
+ * against the files on disk, and cross-checks the paths named in
+ * nginx_rules.conf, the service worker's precache list (sw.js) and the search
+ * index's result links. Reports:
+ *
+ *   broken         the target does not exist
+ *   case-mismatch  the target only exists with different letter case, which
+ *                  works on macOS/Windows but 404s on case-sensitive hosts
+ *   orphaned       a page that no other page links to
+ *   unreferenced   a file nothing links to, loads or configures
+ *   unencoded      a reference with raw spaces or other characters that
+ *                  should be percent-encoded (a warning only)
+ *
+ * Exits with status 1 when anything but warnings is found.
+ *
+ *   node tools/check-links.js [--json] [--root <dir>]
+ */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+// Never crawled, never reported as unreferenced.
+const IGNORED = [
+  /^\.git\//,
+  /^\.vscode\//,
+  /(^|\/)node_modules\//,
+  /^tools\//,
+  /^\.gitignore$/,
+  /^nginx_rules\.conf$/,
+  /^requests\.jsonl$/,
+  /(^|\/)README(\.md)?$/i,
+];
+
+// Loaded at runtime by scripts rather than linked from a page: our own
+// vendored libraries, data and service worker, and Elementor's webpack chunks.
+const RUNTIME_ASSETS = [
+  /^sw\.js$/,
+  /^assets\/vendor\//,
+  /^assets\/data\//,
+  /^wp-content\/plugins\/[^/]+\/assets\/js\/[^/]+\.[0-9a-f]{20}\.bundle(?:\.min)?\.js$/,
+];
+
+// Kept although nothing references them. Plugin files ship with their
+// plugin, and the pages' links to these are commented out rather than gone;
+// the icons belong to the set the download buttons pick from.
+const UNREFERENCED_ALLOWED = [
+  "downloads/icons/mail.svg",
+  "downloads/icons/minus.svg",
+  "wp-content/plugins/easy-fancybox/fancybox/1.5.4/jquery.fancybox.min.css",
+  "wp-content/plugins/elementor/assets/lib/animations/styles/fadeIn.min.css",
+  "wp-content/plugins/elementor/assets/lib/animations/styles/fadeInUp.min.css",
+  "wp-content/plugins/elementor/assets/lib/e-gallery/css/e-gallery.min.css",
+  "wp-content/plugins/elementor/assets/lib/e-gallery/js/e-gallery.min.js",
+  "wp-content/plugins/elementor/assets/lib/font-awesome/css/all.min.css",
+  "wp-content/plugins/elementor/assets/lib/font-awesome/css/v4-shims.min.css",
+];
+
+const SEARCH_INDEX = "assets/data/search-index.json";
+
+const ERROR_KINDS = ["broken", "case-mismatch", "orphaned", "unreferenced"];
+const WARNING_KINDS = ["unencoded"];
+
+function parseArgs(argv) {
+  const options = { json: false, root: path.resolve(__dirname, "..") };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--json") {
+      options.json = true;
+    } else if (argv[i] === "--root") {
+      options.root = path.resolve(argv[++i]);
+    } else {
+      throw new Error("Unknown option: " + argv[i]);
+    }
+  }
+  return options;
+}
+
+/** Lists every file under `root` as a forward-slash path relative to it. */
+function listFiles(root, dir, files) {
+  dir = dir || "";
+  files = files || [];
+  fs.readdirSync(path.join(root, dir), { withFileTypes: true }).forEach(
+    function (entry) {
+      const relative = dir ? dir + "/" + entry.name : entry.name;
+      if (IGNORED.some((pattern) => pattern.test(relative + (entry.isDirectory() ? "/" : "")))) {
+        return;
+      }
+      if (entry.isDirectory()) {
+        listFiles(root, relative, files);
+      } else {
+        files.push(relative);
+      }
+    }
+  );
+  return files;
+}
+
+function isExternal(url) {
+  return /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i.test(url);
+}
+
+// <link rel> values that name metadata endpoints rather than files to load.
+const NON_RESOURCE_RELS = /^(?:alternate|edituri|https:\/\/api\.w\.org\/|pingback|shortlink|canonical|profile)$/i;
+
+// Blanks out a match but keeps its newlines, so offsets still give line numbers.
+function blank(text) {
+  return text.replace(/[^\n]/g, " ");
+}
+
+function lineAt(text, offset) {
+  return text.slice(0, offset).split("\n").length;
+}
+
+/** Pulls local references, with line numbers, out of an HTML document. */
+function htmlReferences(html) {
+  const refs = [];
+  // Commented-out markup and inline script bodies are not references.
+  const markup = html
+    .replace(/<!--[\s\S]*?-->/g, blank)
+    .replace(/(<script\b[^>]*>)([\s\S]*?)(<\/script>)/gi, function (all, open, body, close) {
+      return open + blank(body) + close;
+    });
+
+  const tag = /<([a-z][a-z0-9-]*)\b([^>]*)>/gi;
+  const attribute = /\s([a-z-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/gi;
+  let tagMatch;
+  while ((tagMatch = tag.exec(markup))) {
+    const attributes = {};
+    let match;
+    while ((match = attribute.exec(tagMatch[2]))) {
+      attributes[match[1].toLowerCase()] = match[2] !== undefined ? match[2] : match[3];
+    }
+    if (tagMatch[1].toLowerCase() === "link" && NON_RESOURCE_RELS.test(attributes.rel || "")) {
+      continue;
+    }
+
+    const line = lineAt(markup, tagMatch.index);
+    ["href", "src", "poster"].forEach(function (name) {
+      if (attributes[name] !== undefined) {
+        refs.push({ url: attributes[name].trim(), line: line });
+      }
+    });
+    ["srcset", "imagesrcset"].forEach(function (name) {
+      if (attributes[name] === undefined) return;
+      // Candidates are "url descriptor" pairs, so a raw space breaks the URL here too.
+      attributes[name].split(",").forEach(function (candidate) {
+        const url = candidate.trim().split(/\s+/)[0];
+        if (url) refs.push({ url: url, line: line });
+      });
+    });
+  }
+
+  cssReferences(markup).forEach((ref) => refs.push(ref));
+  return refs;
+}
+
+/** Pulls url() references, with line numbers, out of CSS (or HTML with inline styles). */
+function cssReferences(css) {
+  const refs = [];
+  const pattern = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^)"']*))\s*\)/gi;
+  let match;
+  while ((match = pattern.exec(css))) {
+    const url = (match[1] || match[2] || match[3] || "").trim();
+    if (url) refs.push({ url: url, line: lineAt(css, match.index) });
+  }
+  return refs;
+}
+
+/**
+ * Resolves `url` as written in `fromFile` to a path relative to the root,
+ * or null when it does not point at a local file.
+ */
+function resolveReference(url, fromFile) {
+  // JSON-escaped slashes come from WordPress's inline config objects.
+  url = url.replace(/\\\//g, "/");
+  if (!url || url.charAt(0) === "#" || isExternal(url)) return null;
+
+  const target = url.split("#")[0].split("?")[0];
+  if (!target) return null;
+
+  let decoded;
+  try {
+    decoded = decodeURIComponent(target);
+  } catch (e) {
+    decoded = target;
+  }
+
+  const base = decoded.charAt(0) === "/" ? "" : path.posix.dirname(fromFile);
+  let resolved = path.posix.normalize(path.posix.join(base, decoded));
+  resolved = resolved.replace(/^\/+/, "");
+  if (resolved.startsWith("..")) return { path: resolved, outside: true };
+  if (decoded.endsWith("/") || resolved === ".") {
+    resolved = path.posix.join(resolved === "." ? "" : resolved, "index.html");
+  }
+  return { path: resolved, outside: false };
+}
+
+function needsEncoding(url) {
+  return /[\s\u0080-\uffff]/.test(url.split("#")[0]);
+}
+
+/** Paths named in nginx_rules.conf (error pages and exact-match locations). */
+function nginxReferences(conf) {
+  const refs = [];
+  conf.split("\n").forEach(function (line, index) {
+    let match = /^\s*error_page\s+[\d\s]+\s(\/\S+);/.exec(line);
+    if (match) {
+      refs.push({ url: match[1], line: index + 1 });
+      return;
+    }
+    match = /^\s*location\s+~\s+\^(\/\S+?)\$\s/.exec(line);
+    if (match) {
+      // The rules escape dots in otherwise literal paths.
+      refs.push({ url: match[1].replace(/\\\./g, "."), line: index + 1 });
+    }
+  });
+  return refs;
+}
+
+/** Files listed between the precache markers in sw.js. */
+function serviceWorkerReferences(js) {
+  const refs = [];
+  let inList = false;
+  js.split("\n").forEach(function (line, index) {
+    if (/^\s*\/\/ precache:(start|end)/.test(line)) {
+      inList = /start/.test(line);
+      return;
+    }
+    const match = inList && /^\s*"((?:[^"\\]|\\.)*)",?\s*$/.exec(line);
+    if (match) {
+      refs.push({ url: encodeURI(JSON.parse('"' + match[1] + '"')), line: index + 1 });
+    }
+  });
+  return refs;
+}
+
+function check(root) {
+  const files = listFiles(root);
+  const exact = new Set(files);
+  const byLowerCase = new Map();
+  files.forEach(function (file) {
+    byLowerCase.set(file.toLowerCase(), file);
+  });
+  // Directory names too, so "../downloads/" style links resolve.
+  const isDirectory = (relative) =>
+    files.some((file) => file.startsWith(relative + "/"));
+
+  const problems = [];
+  const referenced = new Set();
+  const linkedPages = new Set();
+  const scannedCss = new Set();
+
+  function report(kind, file, detail) {
+    problems.push(Object.assign({ kind: kind, file: file }, detail));
+  }
+
+  function visit(url, fromFile, line) {
+    const resolved = resolveReference(url, fromFile);
+    if (!resolved) return null;
+
+    if (needsEncoding(url)) {
+      report("unencoded", fromFile, { line: line, url: url });
+    }
+    if (resolved.outside) {
+      report("broken", fromFile, { line: line, url: url, target: resolved.path });
+      return null;
+    }
+
+    let target = resolved.path;
+    if (!exact.has(target) && isDirectory(target)) {
+      target = target + "/index.html";
+    }
+    if (exact.has(target)) {
+      referenced.add(target);
+      return target;
+    }
+
+    const actual = byLowerCase.get(target.toLowerCase());
+    if (actual) {
+      referenced.add(actual);
+      report("case-mismatch", fromFile, {
+        line: line,
+        url: url,
+        target: target,
+        actual: actual,
+      });
+      return null;
+    }
+    report("broken", fromFile, { line: line, url: url, target: target });
+    return null;
+  }
+
+  function scanCss(file) {
+    if (scannedCss.has(file)) return;
+    scannedCss.add(file);
+    const css = fs.readFileSync(path.join(root, file), "utf8");
+    cssReferences(css).forEach(function (ref) {
+      const target = visit(ref.url, file, ref.line);
+      if (target && target.endsWith(".css")) scanCss(target);
+    });
+  }
+
+  const pages = files.filter((file) => path.posix.basename(file) === "index.html");
+  pages.forEach(function (page) {
+    const html = fs.readFileSync(path.join(root, page), "utf8");
+    htmlReferences(html).forEach(function (ref) {
+      const target = visit(ref.url, page, ref.line);
+      if (!target) return;
+      if (target.endsWith(".css")) scanCss(target);
+      if (path.posix.basename(target) === "index.html" && target !== page) {
+        linkedPages.add(target);
+      }
+    });
+  });
+
+  const nginxPath = path.join(root, "nginx_rules.conf");
+  if (fs.existsSync(nginxPath)) {
+    nginxReferences(fs.readFileSync(nginxPath, "utf8")).forEach(function (ref) {
+      const target = visit(ref.url, "nginx_rules.conf", ref.line);
+      if (target) linkedPages.add(target);
+    });
+  }
+
+  const workerPath = path.join(root, "sw.js");
+  if (fs.existsSync(workerPath)) {
+    const worker = fs.readFileSync(workerPath, "utf8");
+    // Precaching a page keeps its file referenced, but is not a link to it.
+    serviceWorkerReferences(worker).forEach(function (ref) {
+      visit(ref.url, "sw.js", ref.line);
+    });
+    // The offline page stands in for pages the worker can't fetch, the way
+    // nginx's error_page stands in for missing ones.
+    const offline = /^const OFFLINE_PAGE = "([^"]+)";$/m.exec(worker);
+    if (offline) {
+      const target = visit(offline[1], "sw.js", lineAt(worker, offline.index));
+      if (target) linkedPages.add(target);
+    }
+  }
+
+  // Search results link straight to the PDFs, some of which no page links to.
+  const indexPath = path.join(root, SEARCH_INDEX);
+  if (fs.existsSync(indexPath)) {
+    JSON.parse(fs.readFileSync(indexPath, "utf8")).entries.forEach(function (entry) {
+      visit("/" + entry.url, SEARCH_INDEX, null);
+    });
+  }
+
+  pages.forEach(function (page) {
+    if (page !== "index.html" && !linkedPages.has(page)) {
+      report("orphaned", page, {});
+    }
+  });
+
+  files.forEach(function (file) {
+    if (referenced.has(file) || pages.indexOf(file) !== -1) return;
+    if (RUNTIME_ASSETS.some((pattern) => pattern.test(file))) return;
+    if (UNREFERENCED_ALLOWED.indexOf(file) !== -1) return;
+    report("unreferenced", file, {});
+  });
+
+  return problems;
+}
+
+function format(problem) {
+  const where = problem.line ? problem.file + ":" + problem.line : problem.file;
+  switch (problem.kind) {
+    case "case-mismatch":
+      return where + "  " + problem.url + "  (on disk: " + problem.actual + ")";
+    case "broken":
+    case "unencoded":
+      return where + "  " + problem.url;
+    default:
+      return where;
+  }
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const problems = check(options.root);
+  const errors = problems.filter((problem) => ERROR_KINDS.indexOf(problem.kind) !== -1);
+
+  if (options.json) {
+    process.stdout.write(JSON.stringify(problems, null, 2) + "\n");
+  } else {
+    ERROR_KINDS.concat(WARNING_KINDS).forEach(function (kind) {
+      const found = problems.filter((problem) => problem.kind === kind);
+      if (found.length === 0) return;
+      console.log(kind + " (" + found.length + ")");
+      found.forEach((problem) => console.log("  " + format(problem)));
+      console.log("");
+    });
+    console.log(
+      errors.length === 0
+        ? "No broken, case-mismatched, orphaned or unreferenced files."
+        : errors.length + " problem(s) found."
+    );
+  }
+
+  process.exitCode = errors.length === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  check,
+  htmlReferences,
+  cssReferences,
+  resolveReference,
+  nginxReferences,
+  serviceWorkerReferences,
+};
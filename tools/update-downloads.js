@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/**
+ * Keeps assets/data/downloads.json in step with the files in downloads/.
+ *
+ * The manifest lists every document under downloads/ (the UI icons in
+ * downloads/icons/ are not documents) with its slug, title, path, project,
+ * type, genre, personality (for character bios), page count and summary,
+ * and the case study it belongs to (`caseStudy`, a `title` and site-root
+ * `path`, or null). Everything but the slug, path and page count is written
+ * by hand; this tool:
+ *
+ *   - adds an entry for any new file, with a title taken from the file name
+ *     and the top-level folder as its project, for you to fill in,
+ *   - drops entries whose file has gone,
+ *   - refreshes every PDF's page count with the bundled pdf.js, and
+ *   - regenerates the plain link list that writing-samples/index.html shows
+ *     between its samples-catalog markers, which is what readers without
+ *     JavaScript see (assets/js/samples-catalog.js renders the cards).
+ *
+ *   node tools/update-downloads.js [--root <dir>]
+ */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { loadPdfjs } = require("./build-search-index");
+
+const MANIFEST = "assets/data/downloads.json";
+const CATALOG_PAGE = "writing-samples/index.html";
+const CATALOG_START = "<!-- samples-catalog:start -->";
+const CATALOG_END = "<!-- samples-catalog:end -->";
+const SKIPPED = [/^downloads\/icons\//];
+
+function parseArgs(argv) {
+  const options = { root: path.resolve(__dirname, "..") };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--root") {
+      options.root = path.resolve(argv[++i]);
+    } else {
+      throw new Error("Unknown option: " + argv[i]);
+    }
+  }
+  return options;
+}
+
+function listDownloads(root, dir, files) {
+  files = files || [];
+  fs.readdirSync(path.join(root, dir), { withFileTypes: true }).forEach(function (entry) {
+    const relative = dir + "/" + entry.name;
+    if (entry.isDirectory()) {
+      listDownloads(root, relative, files);
+    } else if (!SKIPPED.some((pattern) => pattern.test(relative))) {
+      files.push(relative);
+    }
+  });
+  return files.sort();
+}
+
+// Same slugs as PdfViewer.slug(), so deep links keep working.
+function slugFor(file) {
+  return path.posix
+    .basename(file)
+    .replace(/\.[a-z0-9]+$/i, "")
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/[^a-z0-9_]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function newEntry(file) {
+  const parts = file.split("/");
+  return {
+    slug: slugFor(file),
+    title: path.posix.basename(file).replace(/\.[a-z0-9]+$/i, ""),
+    path: file,
+    project: parts.length > 2 ? parts[1] : null,
+    type: "Other",
+    genre: "",
+    personality: "",
+    pages: null,
+    summary: "",
+    caseStudy: null,
+  };
+}
+
+async function pageCount(pdfjs, file) {
+  const doc = await pdfjs.getDocument({
+    data: new Uint8Array(fs.readFileSync(file)),
+    isEvalSupported: false,
+    verbosity: pdfjs.VerbosityLevel.ERRORS,
+  }).promise;
+  const pages = doc.numPages;
+  await doc.destroy();
+  return pages;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/** The no-JS catalog: catalog entries grouped by type, in manifest order. */
+function fallbackList(entries, pagePath) {
+  const base = path.posix.relative(path.posix.dirname(pagePath), ".") + "/";
+  const groups = new Map();
+  entries
+    .filter((entry) => entry.catalog !== false)
+    .forEach(function (entry) {
+      if (!groups.has(entry.type)) groups.set(entry.type, []);
+      groups.get(entry.type).push(entry);
+    });
+
+  let html = "";
+  groups.forEach(function (items, type) {
+    html += '\n\t\t\t\t\t\t<section class="samples-catalog-group">\n';
+    html += "\t\t\t\t\t\t\t<h3>" + escapeHtml(type) + "</h3>\n";
+    html += "\t\t\t\t\t\t\t<ul>\n";
+    items.forEach(function (entry) {
+      html +=
+        '\t\t\t\t\t\t\t\t<li data-slug="' + escapeHtml(entry.slug) + '">' +
+        '<a href="' + escapeHtml(encodeURI(base + entry.path)) + '">' + escapeHtml(entry.title) + "</a>" +
+        (entry.summary ? " &ndash; " + escapeHtml(entry.summary) : "") +
+        (entry.genre ? "<br>Genre &ndash; " + escapeHtml(entry.genre) : "") +
+        (entry.personality ? "<br>Personality &ndash; " + escapeHtml(entry.personality) : "") +
+        (entry.caseStudy
+          ? '<br>Case study &ndash; <a href="' + escapeHtml(encodeURI(base + entry.caseStudy.path)) + '">' +
+            escapeHtml(entry.caseStudy.title) + "</a>"
+          : "") +
+        "</li>\n";
+    });
+    html += "\t\t\t\t\t\t\t</ul>\n";
+    html += "\t\t\t\t\t\t</section>";
+  });
+  return html + "\n\t\t\t\t\t\t";
+}
+
+function writeFallback(root, entries) {
+  const file = path.join(root, CATALOG_PAGE);
+  const html = fs.readFileSync(file, "utf8");
+  const start = html.indexOf(CATALOG_START);
+  const end = html.indexOf(CATALOG_END);
+  if (start === -1 || end < start) {
+    throw new Error(CATALOG_PAGE + " has no samples-catalog markers");
+  }
+  fs.writeFileSync(
+    file,
+    html.slice(0, start + CATALOG_START.length) +
+      fallbackList(entries, CATALOG_PAGE) +
+      html.slice(end)
+  );
+}
+
+async function update(root) {
+  const manifestPath = path.join(root, MANIFEST);
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  const files = listDownloads(root, "downloads");
+  const pdfjs = loadPdfjs(root);
+
+  const entries = manifest.filter(function (entry) {
+    if (files.indexOf(entry.path) !== -1) return true;
+    console.log("Removed " + entry.path + " (file is gone)");
+    return false;
+  });
+  files.forEach(function (file) {
+    if (entries.some((entry) => entry.path === file)) return;
+    entries.push(newEntry(file));
+    console.log("Added " + file + " (fill in its title, type and summary)");
+  });
+
+  for (const entry of entries) {
+    if (/\.pdf$/i.test(entry.path)) {
+      entry.pages = await pageCount(pdfjs, path.join(root, entry.path));
+    }
+  }
+
+  fs.writeFileSync(manifestPath, JSON.stringify(entries, null, 2) + "\n");
+  writeFallback(root, entries);
+  return entries;
+}
+
+if (require.main === module) {
+  update(parseArgs(process.argv.slice(2)).root)
+    .then(function (entries) {
+      console.log("Wrote " + entries.length + " entries to " + MANIFEST);
+    })
+    .catch(function (error) {
+      console.error(error);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { update, fallbackList, slugFor };